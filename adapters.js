@@ -0,0 +1,210 @@
+// Site adapters — one per newsletter platform.
+// Loaded into the service worker with importScripts() and injected ahead of
+// content.js, so it must stay plain data + pure functions with no DOM access at
+// load time. Assigned to `self` (not a top-level const) because re-injecting
+// into the same page would otherwise throw on redeclaration.
+//
+// Each adapter provides:
+//   isArticleUrl(url)  cheap URL check run before anything is injected
+//   detect             markers checked inside the page by detectPlatform():
+//                      any `strong` selector is conclusive; otherwise `weak`
+//                      selectors, `hostnames` and inline `scripts` text each
+//                      count one and at least `minMatches` must hit
+//   selectors          lists tried in order for title, subtitle, author, body,
+//                      comment section, comment button and comment editor, plus
+//                      individual comments (their author, text and reply button)
+//                      for replying to a specific one
+//   surfaces           (optional) non-article pages worth tracking, such as feeds.
+//                      Each has its own time bucket and nudge copy; `{time}` in
+//                      `nudge` is replaced with the time spent on that surface.
+
+// The reader app (feeds, Notes, chat) lives on substack.com itself
+function isSubstackApp(url) {
+  return url.hostname === "substack.com" || url.hostname === "www.substack.com";
+}
+
+self.MIC_ADAPTERS = [
+  {
+    id: "substack",
+    name: "Substack",
+    isArticleUrl: (url) => url.pathname.includes("/p/"),
+    surfaces: [
+      {
+        id: "home",
+        label: "Home feed",
+        nudge: "You've scrolled your Substack feed for {time}.",
+        match: (url) => isSubstackApp(url) && /^\/(home)?\/?$/.test(url.pathname),
+      },
+      {
+        id: "inbox",
+        label: "Inbox",
+        nudge: "You've been in your Substack inbox for {time}.",
+        match: (url) => isSubstackApp(url) && url.pathname.startsWith("/inbox"),
+      },
+      {
+        id: "notes",
+        label: "Notes",
+        nudge: "You've scrolled Notes for {time}.",
+        match: (url) =>
+          isSubstackApp(url) && (url.pathname.startsWith("/notes") || /^\/@[^/]+\/note\//.test(url.pathname)),
+      },
+      {
+        id: "chat",
+        label: "Chat",
+        nudge: "You've spent {time} in Substack chat.",
+        match: (url) => isSubstackApp(url) && url.pathname.startsWith("/chat"),
+      },
+    ],
+    detect: {
+      strong: [],
+      weak: [
+        'meta[content*="Substack"]',
+        'script[src*="substack.com"]',
+        'link[href*="substack.com"]',
+        'link[href*="substackcdn.com"]',
+        ".post-header, .single-post, .post-title",
+        'a[href*="substack.com"]',
+      ],
+      hostnames: ["substack.com"],
+      scripts: ["window._preloads"],
+      minMatches: 2,
+    },
+    selectors: {
+      title: ["h1.post-title"],
+      subtitle: ["h3.subtitle"],
+      author: [],
+      body: [".available-content .body", ".body.markup"],
+      commentSection: [
+        ".comments-page",
+        '[data-testid="comment-list"]',
+        ".comments",
+        "#entry-comments",
+        ".post-footer",
+      ],
+      commentButton: [
+        'button[data-testid="comment-button"]',
+        "button.reader-comments-header-button",
+        ".comment-input-wrap",
+      ],
+      commentButtonText: /write a comment|leave a comment|add a comment/i,
+      // Substack uses ProseMirror/Tiptap with contenteditable
+      commentEditor: [
+        '.comment-input-wrap [contenteditable="true"]',
+        '.tiptap[contenteditable="true"]',
+        '.ProseMirror[contenteditable="true"]',
+        '[data-testid="comment-input"] [contenteditable="true"]',
+        '.comments [contenteditable="true"]',
+        '.comments-page [contenteditable="true"]',
+        '.post-footer [contenteditable="true"]',
+        ".comments textarea",
+      ],
+      comment: ['[data-testid="comment"]', ".comment-list-item", ".comment"],
+      commentAuthor: [".commentTopItemHeaderName", ".comment-meta a", 'a[href*="/profile/"]'],
+      commentBody: [".comment-body", '[data-testid="comment-body"]'],
+      commentReplyButton: ['button[aria-label="Reply"]', 'button[data-testid="reply-button"]'],
+      commentReplyText: /^\s*reply\s*$/i,
+    },
+  },
+  {
+    id: "ghost",
+    name: "Ghost",
+    isArticleUrl: (url) => {
+      const parts = url.pathname.split("/").filter(Boolean);
+      return parts.length > 0 && !/^(tag|author|page|ghost|signin|signup|account|membership)$/.test(parts[0]);
+    },
+    detect: {
+      strong: ['meta[name="generator"][content^="Ghost"]'],
+      weak: [
+        ".gh-content",
+        "article.gh-article",
+        ".post-full-content",
+        "script[data-ghost]",
+        'script[src*="portal.min.js"]',
+      ],
+      hostnames: ["ghost.io"],
+      scripts: [],
+      minMatches: 2,
+    },
+    selectors: {
+      title: ["h1.gh-article-title", "h1.article-title", "h1.post-full-title"],
+      subtitle: [".gh-article-excerpt", ".article-excerpt", ".post-full-custom-excerpt"],
+      author: [".gh-article-author-name", ".author-name", ".post-full-byline-meta h4 a"],
+      body: [".gh-content", ".post-full-content", ".post-content"],
+      commentSection: ["#ghost-comments-root", ".gh-comments", ".article-comments", "#comments"],
+      commentButton: [],
+      commentButtonText: /add a comment|join the discussion/i,
+      // Ghost's native comments render in an iframe we can't reach; this covers
+      // themes that embed a plain form.
+      commentEditor: ['.gh-comments [contenteditable="true"]', "#comments textarea"],
+      comment: [".gh-comments .comment"],
+      commentAuthor: [".comment-author"],
+      commentBody: [".comment-content"],
+      commentReplyButton: [],
+      commentReplyText: /^\s*reply\s*$/i,
+    },
+  },
+  {
+    id: "medium",
+    name: "Medium",
+    // Story slugs end in a hex post id, e.g. /some-title-3f2a9c1d7e0b
+    isArticleUrl: (url) => /-[0-9a-f]{8,12}$/.test(url.pathname.replace(/\/$/, "")) || /^\/p\/[0-9a-f]+/.test(url.pathname),
+    detect: {
+      strong: [
+        'meta[property="al:android:app_name"][content="Medium"]',
+        'meta[name="twitter:app:name:iphone"][content="Medium"]',
+      ],
+      weak: ['link[href*="miro.medium.com"]', 'img[src*="miro.medium.com"]', 'h1[data-testid="storyTitle"]'],
+      hostnames: ["medium.com"],
+      scripts: [],
+      minMatches: 2,
+    },
+    selectors: {
+      title: ['h1[data-testid="storyTitle"]', "article h1"],
+      subtitle: ["h2.pw-subtitle-paragraph"],
+      author: ['[data-testid="authorName"]'],
+      body: ["article section", "article"],
+      commentSection: ['[aria-label="responses"]', "#responses"],
+      commentButton: ['button[aria-label="responses"]', 'button[data-testid="headerResponseButton"]'],
+      commentButtonText: /what are your thoughts|respond/i,
+      commentEditor: ['[data-testid="responseTextbox"] [contenteditable="true"]', 'div[role="textbox"][contenteditable="true"]'],
+      comment: ['[aria-label="responses"] article', "#responses article"],
+      commentAuthor: ['a[href^="/@"]'],
+      commentBody: ["pre", "p"],
+      commentReplyButton: ['button[aria-label="reply"]'],
+      commentReplyText: /^\s*reply\s*$/i,
+    },
+  },
+  {
+    id: "beehiiv",
+    name: "Beehiiv",
+    isArticleUrl: (url) => url.pathname.startsWith("/p/"),
+    detect: {
+      strong: ['meta[name="generator"][content*="beehiiv" i]'],
+      weak: [
+        'script[src*="beehiiv.com"]',
+        'link[href*="beehiiv.com"]',
+        'img[src*="media.beehiiv.com"]',
+        'img[src*="beehiiv-images"]',
+        "#content-blocks",
+      ],
+      hostnames: ["beehiiv.com"],
+      scripts: [],
+      minMatches: 2,
+    },
+    selectors: {
+      title: ["h1"],
+      subtitle: ["h2.subtitle"],
+      author: ['a[href*="/authors/"]'],
+      body: ["#content-blocks", ".rendered-post"],
+      commentSection: ["#comments", '[id*="comments"]'],
+      commentButton: [],
+      commentButtonText: /add a comment|leave a comment/i,
+      commentEditor: ["#comments textarea", 'textarea[name="content"]'],
+      comment: ['#comments [id^="comment-"]'],
+      commentAuthor: ["a", "span.font-semibold"],
+      commentBody: ["p"],
+      commentReplyButton: [],
+      commentReplyText: /^\s*reply\s*$/i,
+    },
+  },
+];
@@ -1,9 +1,91 @@
 // Service worker for state management
 // Timer is cumulative across all Substack tabs in a session.
-// Resets when user leaves Substack entirely, closes all Substack tabs, or closes browser.
+// A session ends after an idle gap, at midnight or over a rolling window (see below).
 //
-// All state lives in chrome.storage.session so it survives service worker restarts.
-// Content scripts drive the tick — they message here each active second.
+// All state lives in chrome.storage so it survives service worker restarts. Session
+// counters are kept in chrome.storage.local (`sessionStore`) so a session bounded by an
+// idle gap can span a browser restart; tracked tab ids live in chrome.storage.session.
+// Content scripts report activity as timestamped intervals, batched every few
+// seconds; overlapping intervals from different tabs are only counted once. Audio and
+// video playback on a post is reported separately as listening.
+//
+// Platform-specific knowledge (Substack, Ghost, Medium, Beehiiv) lives in adapters.js;
+// helpers the pages and content script also use live in shared.js.
+
+importScripts("adapters.js", "shared.js");
+
+const { dayKey, foldText } = self.MIC_SHARED;
+
+const DEFAULT_PLATFORMS = ["substack"];
+
+const sessionStore = chrome.storage.local;
+
+// --- Nudge schedule ---
+// The toast fires at each threshold in `nudgeSchedule` (seconds of session time).
+// Dismissing skips to the next threshold; snoozing re-shows it after SNOOZE_SECONDS.
+// A legacy single `threshold` setting is treated as a one-entry schedule.
+// A publication rule with its own threshold shifts the whole schedule so the first
+// nudge lands on that threshold (see "Per-publication rules").
+
+const DEFAULT_SCHEDULE = [15 * 60];
+const SNOOZE_SECONDS = 10 * 60;
+const FRESH_NUDGE_STATE = { nudgeStage: 0, snoozeUntil: 0 };
+// sessionTime counts every tracked surface; surfaceTime splits it by surface id
+// ("article", or an adapter surface such as "notes"). Both are whole seconds derived
+// from the millisecond totals, which are what activity accounting adds to.
+// listeningTime is media playback on posts; it counts toward sessionTime but not
+// toward surfaceTime.
+const FRESH_SESSION = {
+  sessionTime: 0,
+  sessionMs: 0,
+  surfaceTime: {},
+  surfaceMs: {},
+  listeningTime: 0,
+  listeningMs: 0,
+  countedIntervals: [],
+  sessionStartedAt: 0,
+  lastActiveAt: 0,
+  sessionArticles: {},
+  rollingBuckets: [],
+  ...FRESH_NUDGE_STATE,
+};
+
+async function getSchedule(rule = null) {
+  const { nudgeSchedule, threshold } = await chrome.storage.local.get({
+    nudgeSchedule: null,
+    threshold: null,
+  });
+  let schedule = DEFAULT_SCHEDULE;
+  if (Array.isArray(nudgeSchedule) && nudgeSchedule.length) schedule = nudgeSchedule;
+  else if (threshold) schedule = [threshold];
+  if (!rule?.threshold) return schedule;
+  const offset = rule.threshold - schedule[0];
+  return schedule.map((t) => t + offset);
+}
+
+async function getNudgeState() {
+  return sessionStore.get(FRESH_NUDGE_STATE);
+}
+
+function isNudgeDue(time, schedule, { nudgeStage, snoozeUntil }) {
+  if (snoozeUntil) return time >= snoozeUntil;
+  return nudgeStage < schedule.length && time >= schedule[nudgeStage];
+}
+
+// Number of thresholds already reached, i.e. the index of the next one still ahead
+function stageAt(time, schedule) {
+  const next = schedule.findIndex((t) => t > time);
+  return next === -1 ? schedule.length : next;
+}
+
+async function handleNudge(action, rule = null) {
+  const { sessionTime = 0 } = await sessionStore.get({ sessionTime: 0 });
+  const schedule = await getSchedule(rule);
+  await sessionStore.set({
+    nudgeStage: stageAt(sessionTime, schedule),
+    snoozeUntil: action === "snooze" ? sessionTime + SNOOZE_SECONDS : 0,
+  });
+}
 
 // --- Substack detection & content script injection ---
 
@@ -18,36 +100,171 @@ async function addSubstackTab(tabId) {
   await chrome.storage.session.set({ substackTabIds: [...tabs] });
 }
 
+// Closing the last tracked tab doesn't end the session; see "Session boundaries"
 async function removeSubstackTab(tabId) {
   const tabs = await getSubstackTabs();
   tabs.delete(tabId);
   await chrome.storage.session.set({ substackTabIds: [...tabs] });
-  if (tabs.size === 0) {
-    await chrome.storage.session.set({ sessionTime: 0, toastDismissed: false });
+  clearBadge(tabId);
+}
+
+async function broadcastToTabs(message) {
+  const tabs = await getSubstackTabs();
+  for (const tabId of tabs) {
+    chrome.tabs.sendMessage(tabId, message).catch(() => {});
   }
 }
 
-function tryInject(tabId, url) {
+// --- Toolbar badge ---
+// Per-tab, so only tracked tabs show the session minutes. The colour warms up as
+// the next scheduled nudge approaches.
+
+const BADGE_COLORS = { idle: "#555555", near: "#b7791f", due: "#c53030" };
+const BADGE_NEAR_RATIO = 0.75;
+
+async function updateBadge(tabId, time, schedule, { nudgeStage }) {
+  const { showBadge = true } = await chrome.storage.local.get({ showBadge: true });
+  if (!showBadge) return;
+
+  const min = Math.floor(time / 60);
+  const text = min >= 100 ? `${Math.floor(min / 60)}h` : `${min}m`;
+  const next = schedule[Math.min(nudgeStage, schedule.length - 1)];
+  const ratio = time / next;
+  const color =
+    ratio >= 1 ? BADGE_COLORS.due : ratio >= BADGE_NEAR_RATIO ? BADGE_COLORS.near : BADGE_COLORS.idle;
+
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+}
+
+function clearBadge(tabId) {
+  chrome.action.setBadgeText({ tabId, text: "" }).catch(() => {});
+}
+
+async function clearAllBadges() {
+  const tabs = await getSubstackTabs();
+  for (const tabId of tabs) clearBadge(tabId);
+}
+
+async function getEnabledAdapters() {
+  const { enabledPlatforms = DEFAULT_PLATFORMS } = await chrome.storage.local.get({
+    enabledPlatforms: DEFAULT_PLATFORMS,
+  });
+  return self.MIC_ADAPTERS.filter((a) => enabledPlatforms.includes(a.id));
+}
+
+// --- Per-site rules & detection cache ---
+// `siteRules` maps hostname -> "always" | "never", set from the popup or settings page.
+// `detectionCache` remembers which platform (or none) a hostname was detected as, so
+// the page scan doesn't run on every tab update. Misses expire sooner than hits since
+// a page without markers may just not have finished rendering.
+
+const DETECTION_TTL = { hit: 7 * 24 * 60 * 60 * 1000, miss: 24 * 60 * 60 * 1000 };
+// Ghost's article check matches almost any path, so nearly every site visited gets an
+// entry; expired ones are dropped on write and the oldest go past this many
+const DETECTION_CACHE_LIMIT = 500;
+
+async function getSiteRule(hostname) {
+  const { siteRules = {} } = await chrome.storage.local.get({ siteRules: {} });
+  return siteRules[hostname] || null;
+}
+
+async function setSiteRule(hostname, rule) {
+  const { siteRules = {} } = await chrome.storage.local.get({ siteRules: {} });
+  if (rule) siteRules[hostname] = rule;
+  else delete siteRules[hostname];
+  await chrome.storage.local.set({ siteRules });
+  await forgetDetection(hostname);
+}
+
+async function getCachedDetection(hostname) {
+  const { detectionCache = {} } = await chrome.storage.local.get({ detectionCache: {} });
+  const entry = detectionCache[hostname];
+  return entry && !detectionExpired(entry) ? entry.platform : undefined;
+}
+
+function detectionExpired(entry, now = Date.now()) {
+  const ttl = entry.platform ? DETECTION_TTL.hit : DETECTION_TTL.miss;
+  return now - entry.checkedAt >= ttl;
+}
+
+async function cacheDetection(hostname, platform) {
+  const { detectionCache = {} } = await chrome.storage.local.get({ detectionCache: {} });
+  const now = Date.now();
+  detectionCache[hostname] = { platform, checkedAt: now };
+  const live = Object.entries(detectionCache)
+    .filter(([, entry]) => !detectionExpired(entry, now))
+    .sort(([, a], [, b]) => b.checkedAt - a.checkedAt)
+    .slice(0, DETECTION_CACHE_LIMIT);
+  await chrome.storage.local.set({ detectionCache: Object.fromEntries(live) });
+}
+
+async function forgetDetection(hostname) {
+  const { detectionCache = {} } = await chrome.storage.local.get({ detectionCache: {} });
+  delete detectionCache[hostname];
+  await chrome.storage.local.set({ detectionCache });
+}
+
+async function tryInject(tabId, url) {
   if (!url) return;
+  let parsed;
   try {
-    const parsed = new URL(url);
-    if (!parsed.pathname.includes("/p/")) return;
+    parsed = new URL(url);
   } catch {
     return;
   }
+  if (!/^https?:$/.test(parsed.protocol)) return;
+
+  const rule = await getSiteRule(parsed.hostname);
+  if (rule === "never") return;
+
+  const adapters = await getEnabledAdapters();
+
+  // Surfaces are matched on the platform's own hostname, so no page scan is needed
+  const surfaceAdapter = adapters.find((a) => a.surfaces?.some((s) => s.match(parsed)));
+  if (surfaceAdapter) {
+    await injectContentScript(tabId, surfaceAdapter.id);
+    return;
+  }
+
+  const candidates = adapters.filter((a) => a.isArticleUrl(parsed));
+  const cached = await getCachedDetection(parsed.hostname);
+
+  // "Always track" skips both the article-URL filter and the page scan
+  if (rule === "always") {
+    const platform = cached || candidates[0]?.id || DEFAULT_PLATFORMS[0];
+    await injectContentScript(tabId, platform);
+    return;
+  }
+
+  if (!candidates.length) return;
+  if (cached !== undefined) {
+    if (cached && candidates.some((a) => a.id === cached)) await injectContentScript(tabId, cached);
+    return;
+  }
 
   chrome.scripting.executeScript({
     target: { tabId },
-    func: detectSubstack,
+    func: detectPlatform,
+    args: [candidates.map((a) => ({ id: a.id, ...a.detect }))],
   }).then(async (results) => {
-    if (results?.[0]?.result) {
-      await addSubstackTab(tabId);
-      chrome.scripting.insertCSS({ target: { tabId }, files: ["styles.css"] }).catch(() => {});
-      chrome.scripting.executeScript({ target: { tabId }, files: ["content.js"] }).catch(() => {});
-    }
+    const platform = results?.[0]?.result || null;
+    await cacheDetection(parsed.hostname, platform);
+    if (platform) await injectContentScript(tabId, platform);
   }).catch(() => {});
 }
 
+async function injectContentScript(tabId, platform) {
+  await addSubstackTab(tabId);
+  // Tell content.js which adapter matched before it loads
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (id) => { window.__micPlatform = id; },
+    args: [platform],
+  }).catch(() => {});
+  chrome.scripting.executeScript({ target: { tabId }, files: ["adapters.js", "shared.js", "content.js"] }).catch(() => {});
+}
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.url) {
     removeSubstackTab(tabId);
@@ -68,71 +285,1350 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   removeSubstackTab(tabId);
 });
 
-// --- Detect Substack by checking for known markers in the page ---
+// --- Detect the platform by checking each candidate adapter's markers in the page ---
+// Runs inside the page via executeScript, so it must be self-contained.
+
+function detectPlatform(candidates) {
+  const has = (selector) => {
+    try { return !!document.querySelector(selector); } catch { return false; }
+  };
+  const host = location.hostname;
+  let inlineScripts = null;
+
+  let best = null;
+  for (const c of candidates) {
+    const strong = c.strong.some(has);
+    let matches = c.weak.filter(has).length;
+    if (c.hostnames.some((h) => host === h || host.endsWith(`.${h}`))) matches++;
+    if (c.scripts.length) {
+      inlineScripts ??= Array.from(document.querySelectorAll("script:not([src])"), (s) => s.textContent).join("\n");
+      matches += c.scripts.filter((text) => inlineScripts.includes(text)).length;
+    }
+    if (!strong && matches < c.minMatches) continue;
+
+    const score = matches + (strong ? 100 : 0);
+    if (!best || score > best.score) best = { id: c.id, score };
+  }
+  return best?.id || null;
+}
+
+// --- Notes store ---
+// Drafts live in chrome.storage.local keyed by article URL so they survive
+// panel close, navigation and tab crashes.
+
+async function getNotes() {
+  const { notes = {} } = await chrome.storage.local.get({ notes: {} });
+  return notes;
+}
 
-function detectSubstack() {
-  const indicators = [
-    () => !!document.querySelector('meta[content*="Substack"]'),
-    () => !!document.querySelector('script[src*="substack.com"]'),
-    () => !!document.querySelector('link[href*="substack.com"]'),
-    () => !!document.querySelector('link[href*="substackcdn.com"]'),
-    () => !!document.querySelector(".post-header, .single-post, .post-title"),
-    () => typeof window._preloads !== "undefined",
-    () => location.hostname.endsWith(".substack.com"),
-    () => !!document.querySelector('a[href*="substack.com"]'),
-  ];
+async function saveNote(url, fields) {
+  const notes = await getNotes();
+  const existing = notes[url];
+  const now = Date.now();
 
-  let matches = 0;
-  for (const check of indicators) {
-    try { if (check()) matches++; } catch {}
+  staleSearchDocs.add(url);
+  if (!fields.body?.trim() && !fields.quotes?.length) {
+    delete notes[url];
+    await chrome.storage.local.set({ notes });
+    await forgetReview(url);
+    await reindexStale();
+    return null;
   }
-  return matches >= 2;
+
+  const note = {
+    ...existing,
+    ...fields,
+    url,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  notes[url] = note;
+  await chrome.storage.local.set({ notes });
+  if (!existing) await recordEngagement(url, "notes", fields.meta || {});
+  await reindexStale();
+  return note;
+}
+
+// --- Spaced review ---
+// Saved notes come back for review 1, 7 and 30 days apart, starting from when they
+// were written. Remembering moves a note to the next interval and retires it after
+// the last; forgetting starts it over. `reviewSchedule` maps note URL ->
+// { step, dueAt, retired, reviews: [{ at, remembered }] }; notes without an entry
+// are on their first interval.
+
+const REVIEW_INTERVAL_DAYS = [1, 7, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// One per step, so each review asks something a little different
+const RETRIEVAL_PROMPTS = [
+  (title) => `What was the main argument of \u201c${title}\u201d?`,
+  (title) => `How would you explain \u201c${title}\u201d to someone who hasn't read it?`,
+  (title) => `What from \u201c${title}\u201d has stuck with you, and where have you used it?`,
+];
+
+async function getReviewSchedule() {
+  const { reviewSchedule = {} } = await chrome.storage.local.get({ reviewSchedule: {} });
+  return reviewSchedule;
+}
+
+function reviewState(note, reviewSchedule) {
+  return (
+    reviewSchedule[note.url] || {
+      step: 0,
+      dueAt: note.createdAt + REVIEW_INTERVAL_DAYS[0] * DAY_MS,
+      retired: false,
+      reviews: [],
+    }
+  );
+}
+
+// Due review cards, oldest first, plus when the next not-yet-due one comes up
+async function getReviews(now = Date.now()) {
+  const notes = await getNotes();
+  const reviewSchedule = await getReviewSchedule();
+  const active = Object.values(notes)
+    .map((note) => ({ note, state: reviewState(note, reviewSchedule) }))
+    .filter(({ state }) => !state.retired);
+
+  const due = active
+    .filter(({ state }) => state.dueAt <= now)
+    .sort((a, b) => a.state.dueAt - b.state.dueAt)
+    .map(({ note, state }) => {
+      const title = note.meta?.title || note.title || note.url;
+      return {
+        url: note.url,
+        title,
+        author: note.meta?.author || null,
+        publication: note.meta?.publication || null,
+        body: note.body || "",
+        quotes: (note.quotes || []).map((q) => q.text),
+        createdAt: note.createdAt,
+        step: state.step,
+        steps: REVIEW_INTERVAL_DAYS.length,
+        prompt: RETRIEVAL_PROMPTS[state.step % RETRIEVAL_PROMPTS.length](title),
+      };
+    });
+  const upcoming = active.map(({ state }) => state.dueAt).filter((t) => t > now);
+  return { due, nextDueAt: upcoming.length ? Math.min(...upcoming) : null };
+}
+
+async function gradeReview(url, remembered, now = Date.now()) {
+  const notes = await getNotes();
+  if (!notes[url]) return null;
+  const reviewSchedule = await getReviewSchedule();
+  const state = reviewState(notes[url], reviewSchedule);
+  const step = remembered ? state.step + 1 : 0;
+  const interval = REVIEW_INTERVAL_DAYS[Math.min(step, REVIEW_INTERVAL_DAYS.length - 1)];
+  reviewSchedule[url] = {
+    step,
+    dueAt: now + interval * DAY_MS,
+    retired: step >= REVIEW_INTERVAL_DAYS.length,
+    reviews: [...state.reviews, { at: now, remembered }],
+  };
+  await chrome.storage.local.set({ reviewSchedule });
+  return reviewSchedule[url];
+}
+
+async function forgetReview(url) {
+  const reviewSchedule = await getReviewSchedule();
+  if (!reviewSchedule[url]) return;
+  delete reviewSchedule[url];
+  await chrome.storage.local.set({ reviewSchedule });
+}
+
+// --- Export settings ---
+// Templates use {{placeholder}} syntax; content.js does the rendering since it holds
+// the article metadata and quotes. Values inside the YAML frontmatter are quoted there.
+
+const DEFAULT_OBSIDIAN_TEMPLATE = `---
+title: {{title}}
+source: {{url}}
+author: {{author}}
+publication: {{publication}}
+published: {{date}}
+created: {{today}}
+tags: {{tags}}
+---
+
+# {{title}}
+
+## Notes
+
+{{notes}}
+
+## Passages
+
+{{quotes}}
+`;
+
+const DEFAULT_OBSIDIAN_SETTINGS = {
+  vault: "",
+  folder: "",
+  filename: "{{title}}",
+  tags: "substack",
+  onExisting: "overwrite",
+  template: DEFAULT_OBSIDIAN_TEMPLATE,
+};
+
+// Exporter buttons shown in the notes panel footer, in order (ids from content.js EXPORTERS)
+const DEFAULT_EXPORTERS = ["obsidian"];
+
+async function getObsidianSettings() {
+  const { obsidianSettings = {} } = await chrome.storage.local.get({ obsidianSettings: {} });
+  return { ...DEFAULT_OBSIDIAN_SETTINGS, ...obsidianSettings };
+}
+
+// --- Reflection prompts ---
+// Grouped by the learning effect they lean on (see README, "The Theory").
+// Users can disable built-ins and add their own from the settings page.
+
+const BUILTIN_PROMPTS = [
+  { id: "restate-claim", category: "generation", text: "Restate the main claim in one sentence." },
+  { id: "own-words", category: "generation", text: "Summarise the argument in your own words." },
+  { id: "explain-friend", category: "generation", text: "How would you explain this to a friend?" },
+  { id: "why-believe", category: "interrogation", text: "Why does the author believe this?" },
+  { id: "change-mind", category: "interrogation", text: "What evidence would change your mind?" },
+  { id: "counterargument", category: "interrogation", text: "What's the strongest counterargument?" },
+  { id: "hidden-assumption", category: "interrogation", text: "What is the author assuming without saying?" },
+  { id: "connect", category: "interrogation", text: "How does this connect to something you already know?" },
+  { id: "key-points", category: "testing", text: "Without scrolling up, what were the key points?" },
+  { id: "check-question", category: "testing", text: "What question would check that someone understood this?" },
+  { id: "tomorrow", category: "testing", text: "What do you want to remember from this tomorrow?" },
+];
+
+async function getPrompts() {
+  const { customPrompts = [], disabledPrompts = [] } = await chrome.storage.local.get({
+    customPrompts: [],
+    disabledPrompts: [],
+  });
+  return [
+    ...BUILTIN_PROMPTS,
+    ...customPrompts.map((p) => ({ ...p, custom: true })),
+  ].map((p) => ({ ...p, enabled: !disabledPrompts.includes(p.id) }));
+}
+
+// --- Per-publication rules ---
+// `publicationRules` maps a publication key to overrides set from the popup. The key
+// is Substack's publication id when the page exposes one (so a custom domain and its
+// substack.com subdomain share a rule), otherwise the hostname. A rule may set:
+//   threshold  seconds before the first nudge on this publication
+//   muted      no nudges while reading it; time is still counted
+//   promptId   reflection prompt the notes panel opens on
+
+function publicationKey(url, article) {
+  if (article?.publicationId) return `pub:${article.publicationId}`;
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+async function getPublicationRule(url, article) {
+  const key = publicationKey(url, article);
+  if (!key) return null;
+  const { publicationRules = {} } = await chrome.storage.local.get({ publicationRules: {} });
+  return publicationRules[key] || null;
+}
+
+async function setPublicationRule(key, rule) {
+  const { publicationRules = {} } = await chrome.storage.local.get({ publicationRules: {} });
+  if (rule && (rule.threshold || rule.muted || rule.promptId)) publicationRules[key] = rule;
+  else delete publicationRules[key];
+  await chrome.storage.local.set({ publicationRules });
+}
+
+// --- Reading history ---
+// Durable per-article record of active reading time (bucketed by local day) and
+// whether the reader engaged: took notes, shared, or replied.
+// Kept in chrome.storage.local so it outlives the session timer.
+
+const HISTORY_LIMIT = 1000;
+
+async function getHistory() {
+  const { readingHistory = {} } = await chrome.storage.local.get({ readingHistory: {} });
+  return readingHistory;
+}
+
+function historyEntry(history, url, article = {}) {
+  const entry = history[url] || {
+    url,
+    firstReadAt: Date.now(),
+    lastReadAt: Date.now(),
+    seconds: 0,
+    days: {},
+    engagement: { notes: false, shared: false, replied: false },
+  };
+  // Metadata may improve once the page finishes loading, so keep the latest non-empty values
+  const indexed = searchedFields(entry);
+  for (const key of ["title", "author", "publication", "publicationId"]) {
+    if (article[key]) entry[key] = article[key];
+  }
+  if (!history[url] || searchedFields(entry) !== indexed) staleSearchDocs.add(url);
+  history[url] = entry;
+  return entry;
+}
+
+async function saveHistory(history) {
+  await chrome.storage.local.set({ readingHistory: history });
+  await reindexStale();
+}
+
+function pruneHistory(history) {
+  const urls = Object.keys(history);
+  if (urls.length <= HISTORY_LIMIT) return;
+  urls
+    .sort((a, b) => history[a].lastReadAt - history[b].lastReadAt)
+    .slice(0, urls.length - HISTORY_LIMIT)
+    .forEach((url) => {
+      delete history[url];
+      staleSearchDocs.add(url);
+    });
+}
+
+async function recordReading(url, article, seconds = 1) {
+  const history = await getHistory();
+  const entry = historyEntry(history, url, article);
+  const day = dayKey();
+  entry.seconds += seconds;
+  entry.days[day] = (entry.days[day] || 0) + seconds;
+  entry.lastReadAt = Date.now();
+  pruneHistory(history);
+  await saveHistory(history);
+}
+
+// Audio/video playback on a post, kept apart from reading time in the same entry
+async function recordListening(url, article, seconds) {
+  const history = await getHistory();
+  const entry = historyEntry(history, url, article);
+  const day = dayKey();
+  entry.listenedSeconds = (entry.listenedSeconds || 0) + seconds;
+  entry.listenedDays = entry.listenedDays || {};
+  entry.listenedDays[day] = (entry.listenedDays[day] || 0) + seconds;
+  entry.lastReadAt = Date.now();
+  pruneHistory(history);
+  await saveHistory(history);
+}
+
+// Non-article surfaces (feeds, Notes, chat) get a per-day total per surface
+const SURFACE_HISTORY_DAYS = 90;
+
+async function recordSurfaceTime(surface, seconds = 1) {
+  const { surfaceHistory = {} } = await chrome.storage.local.get({ surfaceHistory: {} });
+  const day = dayKey();
+  surfaceHistory[day] = surfaceHistory[day] || {};
+  surfaceHistory[day][surface] = (surfaceHistory[day][surface] || 0) + seconds;
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - SURFACE_HISTORY_DAYS);
+  for (const key of Object.keys(surfaceHistory)) {
+    if (key < dayKey(cutoff)) delete surfaceHistory[key];
+  }
+  await chrome.storage.local.set({ surfaceHistory });
+}
+
+async function recordEngagement(url, kind, article) {
+  const history = await getHistory();
+  const entry = historyEntry(history, url, article);
+  entry.engagement[kind] = true;
+  await saveHistory(history);
+}
+
+// Returns true the first time an article is completed
+async function recordProgress(url, article, depth, completed) {
+  const history = await getHistory();
+  const entry = historyEntry(history, url, article);
+  entry.maxDepth = Math.max(entry.maxDepth || 0, depth);
+  const firstCompletion = completed && !entry.completedAt;
+  if (firstCompletion) entry.completedAt = Date.now();
+  await saveHistory(history);
+  return firstCompletion;
+}
+
+// --- Search index ---
+// Full-text search over notes (body and quoted passages) and every article in the
+// reading history (title, author, publication). `searchIndex` is an inverted index:
+// `postings` maps each term to the ids of the documents containing it, and `docs`
+// keeps each document's URL, display fields and space-separated terms so it can be
+// taken out again; `ids` maps URLs to ids. Short ids rather than URLs in the postings
+// keep the index small, as it shares storage.local's quota with the notes. Saving a
+// note or changing an article's metadata marks its URL stale and only that URL is
+// re-indexed. The index is built in full the first time it's needed, or when
+// SEARCH_INDEX_VERSION changes. It can always be rebuilt, so failing to store it
+// never fails the note save or activity report that triggered the write.
+
+const SEARCH_INDEX_VERSION = 2;
+const SEARCH_RESULT_LIMIT = 100;
+const SEARCH_SNIPPET_CHARS = 160;
+const staleSearchDocs = new Set();
+
+function searchTerms(text) {
+  const terms = new Set();
+  for (const word of foldText(text).split(/[^\p{L}\p{N}]+/u)) {
+    if (word.length > 1) terms.add(word);
+  }
+  return [...terms];
+}
+
+// The history fields that are searched; a change means the entry needs re-indexing
+function searchedFields(entry) {
+  return [entry.title, entry.author, entry.publication].join("\n");
+}
+
+function searchDocument(url, note, entry) {
+  if (!note && !entry) return null;
+  const meta = note?.meta || {};
+  const title = note?.title || meta.title || entry?.title || url;
+  const author = meta.author || entry?.author || null;
+  const publication = meta.publication || entry?.publication || null;
+  const quotes = (note?.quotes || []).map((q) => q.text);
+  return {
+    url,
+    title,
+    author,
+    publication,
+    terms: searchTerms([title, author, publication, note?.body, ...quotes].join(" ")).join(" "),
+  };
+}
+
+function docTerms(doc) {
+  return doc.terms ? doc.terms.split(" ") : [];
+}
+
+function addToIndex(index, doc) {
+  const id = index.nextId++;
+  index.ids[doc.url] = id;
+  index.docs[id] = doc;
+  for (const term of docTerms(doc)) (index.postings[term] ||= []).push(id);
+}
+
+function removeFromIndex(index, url) {
+  const id = index.ids[url];
+  if (id === undefined) return;
+  for (const term of docTerms(index.docs[id])) {
+    const ids = (index.postings[term] || []).filter((i) => i !== id);
+    if (ids.length) index.postings[term] = ids;
+    else delete index.postings[term];
+  }
+  delete index.docs[id];
+  delete index.ids[url];
+}
+
+async function buildSearchIndex() {
+  const notes = await getNotes();
+  const history = await getHistory();
+  const index = { version: SEARCH_INDEX_VERSION, nextId: 0, ids: {}, docs: {}, postings: {} };
+  for (const url of new Set([...Object.keys(notes), ...Object.keys(history)])) {
+    const doc = searchDocument(url, notes[url], history[url]);
+    if (doc) addToIndex(index, doc);
+  }
+  staleSearchDocs.clear();
+  // If it doesn't fit, search still works from this copy and rebuilds next time
+  await chrome.storage.local.set({ searchIndex: index }).catch(() => {});
+  return index;
+}
+
+async function getSearchIndex() {
+  const { searchIndex } = await chrome.storage.local.get({ searchIndex: null });
+  if (searchIndex?.version === SEARCH_INDEX_VERSION) return searchIndex;
+  return buildSearchIndex();
+}
+
+// Re-indexes URLs whose note or history entry changed since the last call
+async function reindexStale() {
+  if (!staleSearchDocs.size) return;
+  const urls = [...staleSearchDocs];
+  staleSearchDocs.clear();
+  const { searchIndex } = await chrome.storage.local.get({ searchIndex: null });
+  // Nothing to update until the first search builds it
+  if (searchIndex?.version !== SEARCH_INDEX_VERSION) return;
+
+  const notes = await getNotes();
+  const history = await getHistory();
+  for (const url of urls) {
+    removeFromIndex(searchIndex, url);
+    const doc = searchDocument(url, notes[url], history[url]);
+    if (doc) addToIndex(searchIndex, doc);
+  }
+  try {
+    await chrome.storage.local.set({ searchIndex });
+  } catch {
+    // Drop the now out-of-date copy; the next search rebuilds it
+    await chrome.storage.local.remove("searchIndex").catch(() => {});
+  }
+}
+
+// Every word of the query must match the start of an indexed term. Filters are a
+// publication name and a from/to range of day keys, applied to when the article was
+// last read or its note last edited.
+async function search({ query = "", publication = null, from = null, to = null }) {
+  const index = await getSearchIndex();
+  const notes = await getNotes();
+  const history = await getHistory();
+  const words = searchTerms(query);
+
+  let ids = Object.values(index.ids);
+  const vocabulary = Object.keys(index.postings);
+  for (const word of words) {
+    const matching = new Set();
+    for (const term of vocabulary) {
+      if (term.startsWith(word)) index.postings[term].forEach((id) => matching.add(id));
+    }
+    ids = ids.filter((id) => matching.has(id));
+  }
+
+  const results = [];
+  for (const id of ids) {
+    const doc = index.docs[id];
+    const { url } = doc;
+    const note = notes[url];
+    const date = Math.max(note?.updatedAt || 0, history[url]?.lastReadAt || 0);
+    if (publication && doc.publication !== publication) continue;
+    if (from && dayKey(new Date(date)) < from) continue;
+    if (to && dayKey(new Date(date)) > to) continue;
+
+    const has = (text) => words.some((word) => foldText(text).includes(word));
+    results.push({
+      url,
+      title: doc.title,
+      author: doc.author,
+      publication: doc.publication,
+      date,
+      hasNote: !!note,
+      snippet: note ? searchSnippet(note.body, words) : null,
+      quotes: (note?.quotes || []).map((q) => q.text).filter((text) => words.length && has(text)),
+      // Title matches first, then author or publication, then notes only
+      score: has(doc.title) ? 2 : has(doc.author) || has(doc.publication) ? 1 : 0,
+    });
+  }
+  results.sort((a, b) => b.score - a.score || b.date - a.date);
+
+  const publications = [...new Set(Object.values(index.docs).map((d) => d.publication).filter(Boolean))];
+  return {
+    results: results.slice(0, SEARCH_RESULT_LIMIT).map(({ score, ...result }) => result),
+    total: results.length,
+    words,
+    publications: publications.sort((a, b) => a.localeCompare(b)),
+  };
+}
+
+// A stretch of the note around the first matching word, or its opening
+function searchSnippet(body, words) {
+  const text = (body || "").replace(/\s+/g, " ").trim();
+  const folded = foldText(text);
+  const at = Math.min(...words.map((w) => folded.indexOf(w)).filter((i) => i >= 0), Infinity);
+  const start = at === Infinity ? 0 : Math.max(0, at - SEARCH_SNIPPET_CHARS / 4);
+  const snippet = text.slice(start, start + SEARCH_SNIPPET_CHARS);
+  return `${start > 0 ? "\u2026" : ""}${snippet}${start + SEARCH_SNIPPET_CHARS < text.length ? "\u2026" : ""}`;
+}
+
+// --- Activity accounting ---
+// Content scripts send [start, end] wall-clock intervals of active reading. We keep
+// the union of recently counted intervals and only credit the part of each new
+// interval not already covered, so two visible tabs don't double-count and a batch
+// retried after a service worker restart isn't counted twice. Listening intervals
+// (media playing on a post) are merged after reading ones, so time spent both
+// scrolling and listening is only counted once.
+
+const ACTIVITY_RETENTION_MS = 10 * 60 * 1000;
+let activityQueue = Promise.resolve();
+
+// Run storage read-modify-write cycles one at a time across concurrent messages
+function serialize(fn) {
+  const run = activityQueue.then(fn);
+  activityQueue = run.catch(() => {});
+  return run;
+}
+
+// Returns the ms of `incoming` not already in `covered` (sorted, disjoint), and the
+// new covered list with incoming merged in
+function mergeIntervals(covered, incoming) {
+  let list = covered.slice();
+  let added = 0;
+  for (const [start, end] of incoming) {
+    if (end <= start) continue;
+    let overlap = 0;
+    for (const [cs, ce] of list) {
+      overlap += Math.max(0, Math.min(end, ce) - Math.max(start, cs));
+    }
+    added += end - start - overlap;
+
+    list.push([start, end]);
+    list.sort((a, b) => a[0] - b[0]);
+    list = list.reduce((merged, iv) => {
+      const last = merged[merged.length - 1];
+      if (last && iv[0] <= last[1]) last[1] = Math.max(last[1], iv[1]);
+      else merged.push([...iv]);
+      return merged;
+    }, []);
+  }
+  return { added, covered: list };
+}
+
+async function recordActivity({ intervals, listening, url, surface = "article", article }, tabId) {
+  const { enabled = true } = await chrome.storage.local.get({ enabled: true });
+  if (!enabled) return { time: 0, showToast: false };
+
+  // Ignore anything outside the retention window or in the future
+  const now = Date.now();
+  const floor = now - ACTIVITY_RETENTION_MS;
+  const clamp = (list) =>
+    (list || [])
+      .map(([start, end]) => [Math.max(start, floor), Math.min(end, now)])
+      .filter(([start, end]) => end > start);
+  const clamped = clamp(intervals);
+  // Only posts have players worth counting; feeds autoplay previews
+  const heard = surface === "article" ? clamp(listening) : [];
+
+  const settings = await getSessionSettings();
+  const state = await currentSession(now);
+  const recent = state.countedIntervals.filter(([, end]) => end >= floor);
+  const reading = mergeIntervals(recent, clamped);
+  const listened = mergeIntervals(reading.covered, heard);
+  const added = reading.added + listened.added;
+
+  const sessionMs = state.sessionMs + added;
+  const surfaceMs = { ...state.surfaceMs, [surface]: (state.surfaceMs[surface] || 0) + reading.added };
+  const surfaceTime = { ...state.surfaceTime, [surface]: Math.floor(surfaceMs[surface] / 1000) };
+  const listeningMs = state.listeningMs + listened.added;
+  const listeningTime = Math.floor(listeningMs / 1000);
+
+  const update = {
+    sessionMs,
+    surfaceMs,
+    surfaceTime,
+    listeningMs,
+    listeningTime,
+    countedIntervals: listened.covered,
+  };
+  if (added > 0) {
+    const all = clamped.concat(heard);
+    update.sessionStartedAt = state.sessionStartedAt || Math.min(...all.map(([start]) => start));
+    update.lastActiveAt = Math.max(...all.map(([, end]) => end));
+    if (surface === "article" && url) {
+      update.sessionArticles = { ...state.sessionArticles, [url]: article?.title || url };
+    }
+  }
+
+  let sessionTime = Math.floor(sessionMs / 1000);
+  let { nudgeStage } = state;
+  // Feeds and other surfaces have no publication, so only articles have a rule
+  const rule = surface === "article" ? await getPublicationRule(url, article) : null;
+  const schedule = await getSchedule(rule);
+  if (settings.sessionMode === "rolling") {
+    const bucket = now - (now % ROLLING_BUCKET_MS);
+    const since = now - settings.rollingWindowMinutes * 60 * 1000 - ROLLING_BUCKET_MS;
+    const buckets = state.rollingBuckets.filter(([start]) => start >= since);
+    const current = buckets.find(([start]) => start === bucket);
+    if (current) current[1] += added;
+    else if (added > 0) buckets.push([bucket, added]);
+    update.rollingBuckets = buckets;
+    sessionTime = rollingSeconds(buckets, settings, now);
+    // The window slides, so thresholds can fall back behind us and fire again
+    nudgeStage = Math.min(nudgeStage, stageAt(sessionTime, schedule));
+    update.nudgeStage = nudgeStage;
+  }
+  update.sessionTime = sessionTime;
+  await sessionStore.set(update);
+  const budgetExhausted = await recordDailyUsage(added, now);
+  const quiet = await inQuietHours(new Date(now));
+
+  if (reading.added > 0) {
+    if (surface === "article") {
+      if (url) await recordReading(url, article, reading.added / 1000);
+    } else {
+      await recordSurfaceTime(surface, reading.added / 1000);
+    }
+  }
+  if (listened.added > 0 && url) await recordListening(url, article, listened.added / 1000);
+
+  const nudge = { nudgeStage, snoozeUntil: state.snoozeUntil };
+  if (tabId) updateBadge(tabId, sessionTime, schedule, nudge);
+
+  return {
+    time: sessionTime,
+    surfaceTime: surfaceTime[surface],
+    listeningTime,
+    showToast: !budgetExhausted && !quiet && !rule?.muted && isNudgeDue(sessionTime, schedule, nudge),
+    nudgeStage: nudge.nudgeStage,
+    budgetExhausted,
+  };
+}
+
+// --- Session boundaries ---
+// A session ends after `sessionIdleMinutes` without activity ("idle", the default) or
+// at local midnight ("daily"). In "rolling" mode sessions still end on the idle gap,
+// but the nudge counter is the active time within the last `rollingWindowMinutes`.
+// Ended sessions are archived with their start/end times and articles.
+
+const DEFAULT_SESSION_SETTINGS = {
+  sessionMode: "idle",
+  sessionIdleMinutes: 30,
+  rollingWindowMinutes: 60,
+};
+const SESSION_ARCHIVE_LIMIT = 200;
+const ROLLING_BUCKET_MS = 60 * 1000;
+
+function getSessionSettings() {
+  return chrome.storage.local.get(DEFAULT_SESSION_SETTINGS);
+}
+
+function sessionEnded(state, settings, now) {
+  if (!state.lastActiveAt) return false;
+  if (settings.sessionMode === "daily") {
+    return dayKey(new Date(state.lastActiveAt)) !== dayKey(new Date(now));
+  }
+  return now - state.lastActiveAt > settings.sessionIdleMinutes * 60 * 1000;
+}
+
+async function archiveSession(state) {
+  if (!state.sessionStartedAt || state.sessionMs <= 0) return;
+  const { sessionArchive = [] } = await chrome.storage.local.get({ sessionArchive: [] });
+  sessionArchive.push({
+    startedAt: state.sessionStartedAt,
+    endedAt: state.lastActiveAt,
+    seconds: Math.round(state.sessionMs / 1000),
+    surfaces: state.surfaceTime,
+    listening: Math.round(state.listeningMs / 1000),
+    articles: Object.entries(state.sessionArticles).map(([url, title]) => ({ url, title })),
+  });
+  while (sessionArchive.length > SESSION_ARCHIVE_LIMIT) sessionArchive.shift();
+  await chrome.storage.local.set({ sessionArchive });
+}
+
+// Starts a fresh session, archiving the current one. Interval bookkeeping carries
+// over so a retried batch isn't recounted; rolling buckets carry over unless cleared.
+async function startNewSession(state, { keepRolling = true } = {}) {
+  await archiveSession(state);
+  const fresh = {
+    ...FRESH_SESSION,
+    countedIntervals: state.countedIntervals,
+    rollingBuckets: keepRolling ? state.rollingBuckets : [],
+  };
+  await sessionStore.set(fresh);
+  await clearAllBadges();
+  await broadcastToTabs({ type: "resetToast" });
+  return fresh;
 }
 
+// Returns the current session state, rolling over first if its boundary has passed
+async function currentSession(now = Date.now()) {
+  const state = await sessionStore.get(FRESH_SESSION);
+  const settings = await getSessionSettings();
+  return sessionEnded(state, settings, now) ? startNewSession(state) : state;
+}
+
+function rollingSeconds(buckets, settings, now) {
+  const since = now - settings.rollingWindowMinutes * 60 * 1000;
+  const ms = buckets.filter(([start]) => start + ROLLING_BUCKET_MS > since).reduce((sum, [, v]) => sum + v, 0);
+  return Math.floor(ms / 1000);
+}
+
+// Check for idle/daily boundaries even when nobody is reading
+chrome.alarms.create("sessionRollover", { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === "sessionRollover") serialize(() => currentSession());
+});
+
+// --- Quiet hours & daily budget ---
+// `quietHours` is a list of { days: [0-6], start: "HH:MM", end: "HH:MM" } windows in
+// local time during which nudges are held back; a window ending before it starts runs
+// past midnight. `dailyBudgetMinutes` (0 = off) caps tracked time per day: once it's
+// used up every tracked tab shows a full-page interstitial until the reader allows
+// more time or the day ends. Quiet hours don't lift the budget. The per-day counter
+// (`dailyUsage`) is in chrome.storage.local so it survives browser restarts.
+
+const BUDGET_EXTENSION_MINUTES = 10;
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+async function inQuietHours(date = new Date()) {
+  const { quietHours = [] } = await chrome.storage.local.get({ quietHours: [] });
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  return quietHours.some(({ days, start, end }) => {
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    if (from <= to) return days.includes(today) && minutes >= from && minutes < to;
+    // Overnight: the early hours belong to the window that started yesterday
+    return (days.includes(today) && minutes >= from) || (days.includes(yesterday) && minutes < to);
+  });
+}
+
+async function getDailyUsage(now = Date.now()) {
+  const { dailyUsage } = await chrome.storage.local.get({ dailyUsage: null });
+  const day = dayKey(new Date(now));
+  return dailyUsage?.day === day ? dailyUsage : { day, ms: 0, extraMinutes: 0 };
+}
+
+async function getBudgetState(now = Date.now()) {
+  const { dailyBudgetMinutes = 0 } = await chrome.storage.local.get({ dailyBudgetMinutes: 0 });
+  const usage = await getDailyUsage(now);
+  const limitMs = (dailyBudgetMinutes + usage.extraMinutes) * 60 * 1000;
+  return { usage, exhausted: dailyBudgetMinutes > 0 && usage.ms >= limitMs };
+}
+
+// Adds active time to today's counter; tells every tracked tab when the budget runs out
+async function recordDailyUsage(ms, now = Date.now()) {
+  const before = await getBudgetState(now);
+  if (ms <= 0) return before.exhausted;
+  await chrome.storage.local.set({ dailyUsage: { ...before.usage, ms: before.usage.ms + ms } });
+  const after = await getBudgetState(now);
+  if (after.exhausted && !before.exhausted) await broadcastToTabs({ type: "budgetExhausted" });
+  return after.exhausted;
+}
+
+// Time spent writing notes over budget still counts, so the extra minutes start from
+// whichever is later: the current limit or what's been used
+async function extendBudget() {
+  const { dailyBudgetMinutes = 0 } = await chrome.storage.local.get({ dailyBudgetMinutes: 0 });
+  const usage = await getDailyUsage();
+  const overMinutes = usage.ms / 60000 - dailyBudgetMinutes;
+  usage.extraMinutes = Math.max(usage.extraMinutes, overMinutes) + BUDGET_EXTENSION_MINUTES;
+  await chrome.storage.local.set({ dailyUsage: usage });
+  await broadcastToTabs({ type: "budgetExtended" });
+}
+
+// Articles read today, most recent first, for the interstitial's notes list
+async function todaysArticles() {
+  const history = await getHistory();
+  const day = dayKey();
+  return Object.values(history)
+    .filter((entry) => entry.days[day] || entry.listenedDays?.[day])
+    .sort((a, b) => b.lastReadAt - a.lastReadAt)
+    .map(({ url, title, publication, engagement }) => ({
+      url,
+      title: title || url,
+      publication: publication || null,
+      notes: engagement.notes,
+    }));
+}
+
+// --- Side panel notes ---
+// With `notesMode` set to "sidepanel", notes open in Chrome's side panel (sidepanel.html)
+// instead of the in-page panel. It's a single global panel that follows the active tab;
+// while open it keeps a port here and reports which article it's showing, so quotes
+// and player timestamps taken on that page can go straight into its draft.
+// `notesMode` is cached because sidePanel.open() has to be called synchronously from
+// the user's gesture.
+
+let notesMode = "page";
+let sidePanelPort = null;
+let sidePanelUrl = null;
+
+chrome.storage.local.get({ notesMode: "page" }).then((settings) => (notesMode = settings.notesMode));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.notesMode) notesMode = changes.notesMode.newValue || "page";
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "sidepanel") return;
+  sidePanelPort = port;
+  port.onMessage.addListener((message) => {
+    if (message.type === "showing") sidePanelUrl = message.url;
+  });
+  port.onDisconnect.addListener(() => {
+    if (sidePanelPort !== port) return;
+    sidePanelPort = null;
+    sidePanelUrl = null;
+    broadcastToTabs({ type: "sidePanelClosed" });
+  });
+});
+
+// Adds a quote (and a blockquote in the body) to the stored note, for when the side
+// panel isn't showing that article to take it itself
+async function appendQuote(url, { title, meta, quote }) {
+  const block = quote.text.split("\n").map((line) => `> ${line}`).join("\n");
+  return appendToNote(url, { title, meta }, `${block}\n\n`, [quote]);
+}
+
+// A player timestamp such as "[12:34] " starts a new paragraph for the reader to fill in
+async function appendTimestamp(url, { title, meta, stamp }) {
+  return appendToNote(url, { title, meta }, `${stamp} `);
+}
+
+async function appendToNote(url, { title, meta }, text, quotes = []) {
+  const notes = await getNotes();
+  const existing = notes[url];
+  const before = (existing?.body || "").replace(/\s*$/, "");
+  return saveNote(url, {
+    title: existing?.title || title,
+    body: `${before}${before ? "\n\n" : ""}${text}`,
+    quotes: [...(existing?.quotes || []), ...quotes],
+    prompts: existing?.prompts || [],
+    meta: meta || existing?.meta || null,
+  });
+}
+
+// --- Keyboard shortcuts ---
+// Declared under "commands" in manifest.json and rebindable at chrome://extensions/shortcuts.
+// Pausing is handled here since it applies to every tab; everything else acts on the
+// page, so it's forwarded to the active tab's content script (if it has one).
+
+async function setEnabled(enabled) {
+  await chrome.storage.local.set({ enabled });
+  if (!enabled) await clearAllBadges();
+  await broadcastToTabs({ type: "updateEnabled", enabled });
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) return;
+  // Must run before any await, while Chrome still counts this as a user gesture
+  if (command === "toggle-notes" && notesMode === "sidepanel") {
+    if (sidePanelPort) sidePanelPort.postMessage({ type: "close" });
+    else chrome.sidePanel.open({ windowId: tab.windowId }).catch(() => {});
+    return;
+  }
+  if (command === "pause-tracking") {
+    const { enabled = true } = await chrome.storage.local.get({ enabled: true });
+    await setEnabled(!enabled);
+    chrome.tabs.sendMessage(tab.id, { type: "command", command, enabled: !enabled }).catch(() => {});
+    return;
+  }
+  chrome.tabs.sendMessage(tab.id, { type: "command", command }).catch(() => {});
+});
+
+// --- Backup & settings sync ---
+// A backup is one JSON file: { format, version, exportedAt, settings, data }. It holds
+// the reader's settings and durable data; caches and derived state (platform detection,
+// the search index, the running session and today's budget usage) are rebuilt on their
+// own, and chrome.storage.session only holds per-browser tab ids.
+// Older backups are brought up to BACKUP_VERSION by BACKUP_MIGRATIONS[v], which turns
+// a version v backup into version v + 1. Version 0 is a bare chrome.storage.local dump.
+// Import either merges into what's here or replaces it.
+
+const BACKUP_FORMAT = "make-it-count-backup";
+const BACKUP_VERSION = 1;
+// What each backed-up key must hold. Only these keys are read from a backup; anything
+// else in the file (caches, counters, syncSettings) is ignored. Each check returns
+// the value with malformed entries and fields dropped (a quiet hour with no start
+// would otherwise stop activity tracking), or undefined if the value as a whole is
+// the wrong kind.
+const isString = (v) => typeof v === "string";
+const isBoolean = (v) => typeof v === "boolean";
+const isCount = (v) => Number.isFinite(v) && v >= 0;
+const isClock = (v) => isString(v) && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+const isDayTotals = (v) => isPlainObject(v) && Object.values(v).every(isCount);
+const optional = (check) => (v) => v === undefined || v === null || check(v);
+const oneOf = (...allowed) => (v) => allowed.includes(v);
+const hasFields = (fields) => (v) =>
+  isPlainObject(v) && Object.entries(fields).every(([key, check]) => check(v[key]));
+
+const valueOf = (check) => (v) => (check(v) ? v : undefined);
+const listOf = (check) => (v) => (Array.isArray(v) ? v.filter(check) : undefined);
+const entriesOf = (check) => (v) =>
+  isPlainObject(v) ? Object.fromEntries(Object.entries(v).filter(([, entry]) => check(entry))) : undefined;
+const fieldsOf = (fields) => (v) => {
+  if (!isPlainObject(v)) return undefined;
+  const valid = Object.keys(fields).filter((key) => key in v && fields[key](v[key]));
+  return Object.fromEntries(valid.map((key) => [key, v[key]]));
+};
+
+const BACKUP_SETTINGS = {
+  enabled: valueOf(isBoolean),
+  showBadge: valueOf(isBoolean),
+  nudgeSchedule: (v) => listOf((t) => isCount(t) && t > 0)(v)?.sort((a, b) => a - b),
+  nudgeAtArticleEnd: valueOf(isBoolean),
+  enabledPlatforms: listOf(isString),
+  siteRules: entriesOf(oneOf("always", "never")),
+  sessionMode: valueOf(oneOf("idle", "daily", "rolling")),
+  sessionIdleMinutes: valueOf(isCount),
+  rollingWindowMinutes: valueOf(isCount),
+  quietHours: listOf(
+    hasFields({
+      days: (days) => Array.isArray(days) && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6),
+      start: isClock,
+      end: isClock,
+    })
+  ),
+  dailyBudgetMinutes: valueOf(isCount),
+  disabledPrompts: listOf(isString),
+  customPrompts: listOf(hasFields({ id: isString, category: isString, text: isString })),
+  enabledExporters: listOf(isString),
+  obsidianSettings: fieldsOf({
+    vault: isString,
+    folder: isString,
+    filename: isString,
+    onExisting: oneOf("overwrite", "append", "unique"),
+    tags: isString,
+    template: isString,
+  }),
+  notesMode: valueOf(oneOf("page", "sidepanel")),
+  publicationRules: entriesOf(
+    hasFields({ threshold: optional(isCount), muted: optional(isBoolean), promptId: optional(isString) })
+  ),
+};
+const BACKUP_DATA = {
+  notes: entriesOf(
+    hasFields({
+      body: isString,
+      quotes: (quotes) => Array.isArray(quotes) && quotes.every(hasFields({ text: isString })),
+      updatedAt: isCount,
+    })
+  ),
+  readingHistory: entriesOf(
+    hasFields({
+      firstReadAt: isCount,
+      lastReadAt: isCount,
+      seconds: isCount,
+      days: isDayTotals,
+      listenedDays: optional(isDayTotals),
+      engagement: isPlainObject,
+    })
+  ),
+  surfaceHistory: entriesOf(isDayTotals),
+  sessionArchive: listOf(hasFields({ startedAt: isCount, seconds: isCount })),
+  reviewSchedule: entriesOf(hasFields({ dueAt: isCount, reviews: Array.isArray })),
+  dismissedArticles: listOf(isString),
+};
+const BACKUP_SETTING_KEYS = Object.keys(BACKUP_SETTINGS);
+const BACKUP_DATA_KEYS = Object.keys(BACKUP_DATA);
+
+const BACKUP_MIGRATIONS = [
+  // 0 -> 1: split a raw storage dump into settings and data, and turn the legacy
+  // single `threshold` into a one-entry nudge schedule
+  (dump) => {
+    const pick = (keys) => Object.fromEntries(keys.filter((k) => k in dump).map((k) => [k, dump[k]]));
+    const settings = pick(BACKUP_SETTING_KEYS);
+    if (!settings.nudgeSchedule && dump.threshold) settings.nudgeSchedule = [dump.threshold];
+    return { format: BACKUP_FORMAT, version: 1, exportedAt: null, settings, data: pick(BACKUP_DATA_KEYS) };
+  },
+];
+
+async function exportBackup() {
+  const settings = await chrome.storage.local.get(BACKUP_SETTING_KEYS);
+  const { threshold } = await chrome.storage.local.get("threshold");
+  if (!settings.nudgeSchedule && threshold) settings.nudgeSchedule = [threshold];
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    data: await chrome.storage.local.get(BACKUP_DATA_KEYS),
+  };
+}
+
+function migrateBackup(backup) {
+  if (!backup || typeof backup !== "object" || Array.isArray(backup)) {
+    throw new Error("This file isn't a Make It Count backup");
+  }
+  let version = backup.format === BACKUP_FORMAT ? backup.version : 0;
+  if (!Number.isInteger(version) || version < 0) throw new Error("This backup's version isn't recognised");
+  if (version > BACKUP_VERSION) throw new Error("This backup is from a newer version of Make It Count");
+  if (version === 0 && !BACKUP_SETTING_KEYS.concat(BACKUP_DATA_KEYS, "threshold").some((k) => k in backup)) {
+    throw new Error("This file isn't a Make It Count backup");
+  }
+  while (version < BACKUP_VERSION) backup = BACKUP_MIGRATIONS[version++](backup);
+  return backup;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// The backup's known keys, cleaned by their checks. Throws if any holds the wrong kind
+// of value altogether: importing part of a damaged file could replace good data
+// with nothing.
+function backupValues(backup) {
+  if (!isPlainObject(backup.settings) || !isPlainObject(backup.data)) throw new Error("This backup is damaged");
+  const values = {};
+  for (const [group, checks] of [[backup.settings, BACKUP_SETTINGS], [backup.data, BACKUP_DATA]]) {
+    for (const [key, check] of Object.entries(checks)) {
+      if (!(key in group)) continue;
+      const value = check(group[key]);
+      if (value === undefined) throw new Error(`This backup is damaged (${key})`);
+      values[key] = value;
+    }
+  }
+  return values;
+}
+
+// How merge combines this browser's value (`here`) with the backup's for each key.
+// Settings already set here are kept; collections gain the backup's entries.
+const BACKUP_MERGES = {
+  siteRules: (here, incoming) => ({ ...incoming, ...here }),
+  publicationRules: (here, incoming) => ({ ...incoming, ...here }),
+  customPrompts: (here, incoming) => {
+    const ids = new Set(here.map((p) => p.id));
+    return here.concat(incoming.filter((p) => !ids.has(p.id)));
+  },
+  // The newer edit of each note wins
+  notes: (here, incoming) => mergeByKey(here, incoming, (a, b) => (b.updatedAt > a.updatedAt ? b : a)),
+  readingHistory: (here, incoming) => mergeByKey(here, incoming, mergeHistoryEntries),
+  // Per day and surface, the larger total (the same time may be in both)
+  surfaceHistory: (here, incoming) =>
+    mergeByKey(here, incoming, (a, b) => mergeByKey(a, b, (x, y) => Math.max(x, y))),
+  sessionArchive: (here, incoming) => {
+    const started = new Set(here.map((s) => s.startedAt));
+    return here
+      .concat(incoming.filter((s) => !started.has(s.startedAt)))
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .slice(-SESSION_ARCHIVE_LIMIT);
+  },
+  // Keep whichever schedule has seen more reviews
+  reviewSchedule: (here, incoming) =>
+    mergeByKey(here, incoming, (a, b) => ((b.reviews?.length || 0) > (a.reviews?.length || 0) ? b : a)),
+  dismissedArticles: (here, incoming) => [...new Set(here.concat(incoming))],
+};
+
+function mergeByKey(here, incoming, combine) {
+  const merged = { ...here };
+  for (const [key, value] of Object.entries(incoming)) {
+    merged[key] = key in here ? combine(here[key], value) : value;
+  }
+  return merged;
+}
+
+// The same reading can be in both copies, so per-day totals take the larger value
+function mergeHistoryEntries(a, b) {
+  const maxDays = (x = {}, y = {}) => mergeByKey(x, y, (m, n) => Math.max(m, n));
+  const newer = b.lastReadAt > a.lastReadAt ? b : a;
+  const days = maxDays(a.days, b.days);
+  const listenedDays = maxDays(a.listenedDays, b.listenedDays);
+  const sum = (d) => Object.values(d).reduce((total, s) => total + s, 0);
+  const completed = [a.completedAt, b.completedAt].filter(Boolean);
+  return {
+    ...a,
+    ...b,
+    title: newer.title || a.title || b.title,
+    author: newer.author || a.author || b.author,
+    publication: newer.publication || a.publication || b.publication,
+    firstReadAt: Math.min(a.firstReadAt, b.firstReadAt),
+    lastReadAt: Math.max(a.lastReadAt, b.lastReadAt),
+    seconds: Math.max(a.seconds, b.seconds, sum(days)),
+    days,
+    listenedSeconds: Math.max(a.listenedSeconds || 0, b.listenedSeconds || 0, sum(listenedDays)),
+    listenedDays,
+    maxDepth: Math.max(a.maxDepth || 0, b.maxDepth || 0),
+    completedAt: completed.length ? Math.min(...completed) : undefined,
+    engagement: {
+      notes: !!(a.engagement?.notes || b.engagement?.notes),
+      shared: !!(a.engagement?.shared || b.engagement?.shared),
+      replied: !!(a.engagement?.replied || b.engagement?.replied),
+    },
+  };
+}
+
+// Returns how many notes and articles the backup brought in
+async function importBackup(raw, mode) {
+  const backup = migrateBackup(raw);
+  const incoming = backupValues(backup);
+  const keys = BACKUP_SETTING_KEYS.concat(BACKUP_DATA_KEYS);
+
+  let values;
+  if (mode === "replace") {
+    values = incoming;
+  } else {
+    const here = await chrome.storage.local.get(keys);
+    values = {};
+    for (const [key, value] of Object.entries(incoming)) {
+      if (!(key in here)) values[key] = value;
+      else if (BACKUP_MERGES[key]) values[key] = BACKUP_MERGES[key](here[key], value);
+    }
+  }
+  if (values.readingHistory) pruneHistory(values.readingHistory);
+  // Write before removing anything, so a failed write (storage quota) loses nothing
+  await chrome.storage.local.set(values);
+  if (mode === "replace") {
+    await chrome.storage.local.remove([...keys.filter((key) => !(key in values)), "threshold"]);
+  }
+
+  // Everything may have changed, so rebuild rather than patch
+  await chrome.storage.local.remove("searchIndex");
+  staleSearchDocs.clear();
+  if (values.enabled !== undefined) await setEnabled(values.enabled);
+
+  return {
+    notes: Object.keys(incoming.notes || {}).length,
+    articles: Object.keys(incoming.readingHistory || {}).length,
+  };
+}
+
+// With `syncSettings` on, BACKUP_SETTING_KEYS (minus `enabled`, which is per browser)
+// are mirrored to chrome.storage.sync so they follow the reader's Chrome profile.
+// Notes and history stay local; they're far bigger than sync's quota. A setting too
+// big for one sync item stays local too.
+const SYNC_KEYS = BACKUP_SETTING_KEYS.filter((key) => key !== "enabled");
+
+async function pushToSync(values) {
+  for (const [key, value] of Object.entries(values)) {
+    const size = key.length + JSON.stringify(value ?? null).length;
+    if (size > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) continue;
+    if (value === undefined) await chrome.storage.sync.remove(key).catch(() => {});
+    else await chrome.storage.sync.set({ [key]: value }).catch(() => {});
+  }
+}
+
+// Turning sync on adopts whatever other installs have already synced, then uploads
+// the settings they don't have yet
+async function startSync() {
+  const synced = await chrome.storage.sync.get(SYNC_KEYS);
+  if (Object.keys(synced).length) await chrome.storage.local.set(synced);
+  const local = await chrome.storage.local.get(SYNC_KEYS);
+  const missing = Object.fromEntries(Object.entries(local).filter(([key]) => !(key in synced)));
+  await pushToSync(missing);
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" && area !== "sync") return;
+  if (area === "local" && changes.syncSettings?.newValue) {
+    await serialize(startSync);
+    return;
+  }
+  const { syncSettings } = await chrome.storage.local.get({ syncSettings: false });
+  if (!syncSettings) return;
+
+  const changed = SYNC_KEYS.filter((key) => key in changes);
+  if (!changed.length) return;
+  if (area === "local") {
+    await pushToSync(Object.fromEntries(changed.map((key) => [key, changes[key].newValue])));
+    return;
+  }
+  // Applying a synced change fires a local change too; storage only reports keys whose
+  // value actually changed, so it stops there
+  const updates = {};
+  for (const key of changed) {
+    if (changes[key].newValue === undefined) await chrome.storage.local.remove(key);
+    else updates[key] = changes[key].newValue;
+  }
+  await chrome.storage.local.set(updates);
+});
+
 // --- Message handling ---
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Content script reports an active second — increment the session timer
+  // Batched activity intervals from a content script
+  if (message.type === "activity") {
+    serialize(() => recordActivity(message, sender.tab?.id))
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // Legacy one-second tick, accounted as a one-second interval ending now
   if (message.type === "tick") {
+    const now = Date.now();
+    serialize(() => recordActivity({ ...message, intervals: [[now - 1000, now]] }, sender.tab?.id))
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "getSettings") {
+    (async () => {
+      const { enabled, nudgeAtArticleEnd, enabledExporters } = await chrome.storage.local.get({
+        enabled: true,
+        nudgeAtArticleEnd: false,
+        enabledExporters: DEFAULT_EXPORTERS,
+      });
+      const schedule = await getSchedule();
+      const { exhausted } = await getBudgetState();
+      // Set by the interstitial's "Write notes" when it sends this tab to an article
+      const { pendingNotesUrl } = await chrome.storage.session.get({ pendingNotesUrl: null });
+      const openNotes = !!message.url && pendingNotesUrl === message.url;
+      if (openNotes) await chrome.storage.session.remove("pendingNotesUrl");
+      sendResponse({
+        enabled,
+        nudgeAtArticleEnd,
+        schedule,
+        threshold: schedule[0],
+        exporters: enabledExporters,
+        budgetExhausted: enabled && exhausted,
+        openNotes,
+        notesMode,
+      });
+    })();
+    return true;
+  }
+
+  if (message.type === "getProgress") {
+    getHistory().then((history) => {
+      const entry = history[message.url];
+      sendResponse({ maxDepth: entry?.maxDepth || 0, completed: !!entry?.completedAt });
+    });
+    return true;
+  }
+
+  // Scroll depth update; on first completion, nudge if enabled and not snoozed
+  if (message.type === "readingProgress") {
     (async () => {
-      const { enabled = true } = await chrome.storage.local.get({ enabled: true });
-      if (!enabled) {
-        sendResponse({ time: 0, showToast: false });
+      const firstCompletion = await serialize(() =>
+        recordProgress(message.url, message.article, message.depth, message.completed)
+      );
+      if (!firstCompletion) {
+        sendResponse({ showToast: false });
         return;
       }
 
-      const { sessionTime = 0 } = await chrome.storage.session.get({ sessionTime: 0 });
-      const newTime = sessionTime + 1;
-      await chrome.storage.session.set({ sessionTime: newTime });
-
-      const { threshold = 900 } = await chrome.storage.local.get({ threshold: 900 });
-      const { toastDismissed = false } = await chrome.storage.session.get({ toastDismissed: false });
+      const { enabled, nudgeAtArticleEnd } = await chrome.storage.local.get({
+        enabled: true,
+        nudgeAtArticleEnd: false,
+      });
+      const { sessionTime = 0 } = await sessionStore.get({ sessionTime: 0 });
+      const { snoozeUntil } = await getNudgeState();
+      const rule = await getPublicationRule(message.url, message.article);
+      const quiet = await inQuietHours();
+      sendResponse({
+        time: sessionTime,
+        showToast:
+          enabled &&
+          nudgeAtArticleEnd &&
+          !quiet &&
+          !rule?.muted &&
+          !(snoozeUntil && sessionTime < snoozeUntil),
+      });
+    })();
+    return true;
+  }
 
+  if (message.type === "getSessionTime") {
+    serialize(() => currentSession()).then((data) => {
       sendResponse({
-        time: newTime,
-        showToast: newTime >= threshold && !toastDismissed,
+        time: data.sessionTime,
+        surfaceTime: data.surfaceTime,
+        listeningTime: data.listeningTime,
+        startedAt: data.sessionStartedAt,
       });
+    });
+    return true;
+  }
+
+  if (message.type === "getTodayReading") {
+    (async () => {
+      const articles = await todaysArticles();
+      const { usage } = await getBudgetState();
+      sendResponse({ articles, seconds: Math.floor(usage.ms / 1000) });
     })();
     return true;
   }
 
-  if (message.type === "getSettings") {
-    chrome.storage.local.get(
-      { threshold: 15 * 60, enabled: true },
-      (settings) => sendResponse(settings)
-    );
+  if (message.type === "extendBudget") {
+    serialize(extendBudget).then(() => sendResponse({ ok: true, minutes: BUDGET_EXTENSION_MINUTES }));
     return true;
   }
 
-  if (message.type === "getSessionTime") {
-    chrome.storage.session.get({ sessionTime: 0 }, (data) => {
-      sendResponse({ time: data.sessionTime });
-    });
+  // Interstitial's "Write notes" for another article: load it here with notes open
+  if (message.type === "budgetNotes") {
+    (async () => {
+      await chrome.storage.session.set({ pendingNotesUrl: message.url });
+      if (sender.tab?.id) await chrome.tabs.update(sender.tab.id, { url: message.url });
+      sendResponse({ ok: true });
+    })();
+    return true;
+  }
+
+  // Feed nudge's "Close tab" — content scripts can't close tabs they didn't open
+  if (message.type === "closeTab") {
+    if (sender.tab?.id) chrome.tabs.remove(sender.tab.id).catch(() => {});
+    sendResponse({ ok: true });
     return true;
   }
 
   if (message.type === "queryTime") {
-    chrome.storage.session.get({ sessionTime: 0 }, (data) => {
+    sessionStore.get({ sessionTime: 0 }, (data) => {
       sendResponse({ time: data.sessionTime });
     });
     return true;
@@ -157,57 +1653,237 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  if (message.type === "toastDismissed") {
-    chrome.storage.session.set({ toastDismissed: true });
-    sendResponse({ ok: true });
+  if (message.type === "getNote") {
+    getNotes().then((notes) => sendResponse({ note: notes[message.url] || null }));
     return true;
   }
 
-  if (message.type === "resetSession") {
-    (async () => {
-      await chrome.storage.session.set({ sessionTime: 0, toastDismissed: false });
-      const tabs = await getSubstackTabs();
-      for (const tabId of tabs) {
-        chrome.tabs.sendMessage(tabId, { type: "resetToast" }).catch(() => {});
-      }
+  if (message.type === "saveNote") {
+    const fields = {
+      title: message.title,
+      body: message.body,
+      quotes: message.quotes || [],
+      prompts: message.prompts || [],
+      meta: message.meta || null,
+    };
+    serialize(() => saveNote(message.url, fields))
+      .then((note) => sendResponse({ note }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // Called straight from a click in the page, so no awaiting before open()
+  if (message.type === "openSidePanel") {
+    if (!sender.tab) {
+      sendResponse({ opened: false });
+      return true;
+    }
+    chrome.sidePanel
+      .open({ windowId: sender.tab.windowId })
+      .then(() => sendResponse({ opened: true }))
+      .catch(() => sendResponse({ opened: false }));
+    return true;
+  }
+
+  if (message.type === "addQuote") {
+    if (sidePanelPort && sidePanelUrl === message.url) {
+      sidePanelPort.postMessage({ type: "quoteAdded", url: message.url, quote: message.quote });
       sendResponse({ ok: true });
+    } else {
+      serialize(() => appendQuote(message.url, message))
+        .then(() => sendResponse({ ok: true }))
+        .catch((err) => sendResponse({ error: err.message }));
+    }
+    return true;
+  }
+
+  if (message.type === "addTimestamp") {
+    if (sidePanelPort && sidePanelUrl === message.url) {
+      sidePanelPort.postMessage({ type: "timestampAdded", url: message.url, stamp: message.stamp });
+      sendResponse({ ok: true });
+    } else {
+      serialize(() => appendTimestamp(message.url, message))
+        .then(() => sendResponse({ ok: true }))
+        .catch((err) => sendResponse({ error: err.message }));
+    }
+    return true;
+  }
+
+  if (message.type === "exportBackup") {
+    exportBackup().then((backup) => sendResponse({ backup }));
+    return true;
+  }
+
+  if (message.type === "importBackup") {
+    serialize(() => importBackup(message.backup, message.mode))
+      .then((imported) => sendResponse({ imported }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "search") {
+    serialize(() => search(message))
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "getReviews") {
+    getReviews().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "gradeReview") {
+    serialize(() => gradeReview(message.url, message.remembered))
+      .then((state) => sendResponse({ state }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "getObsidianSettings") {
+    if (message.defaults) {
+      sendResponse(DEFAULT_OBSIDIAN_SETTINGS);
+      return true;
+    }
+    getObsidianSettings().then(sendResponse);
+    return true;
+  }
+
+  // With a url, also returns the publication's default prompt, if it has one
+  if (message.type === "getPrompts") {
+    (async () => {
+      const prompts = await getPrompts();
+      const rule = message.url ? await getPublicationRule(message.url, message.article) : null;
+      sendResponse({ prompts, defaultPromptId: rule?.promptId || null });
     })();
     return true;
   }
 
+  if (message.type === "engagement") {
+    serialize(() => recordEngagement(message.url, message.kind, message.article))
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // Serialized with recordActivity, which writes nudgeStage back from state it read
+  // earlier and would otherwise undo a dismiss or snooze landing in between
+  if (message.type === "toastDismissed") {
+    serialize(async () => {
+      const rule = message.url ? await getPublicationRule(message.url, message.article) : null;
+      await handleNudge("dismiss", rule);
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "toastSnoozed") {
+    serialize(async () => {
+      const rule = message.url ? await getPublicationRule(message.url, message.article) : null;
+      await handleNudge("snooze", rule);
+    }).then(() => sendResponse({ ok: true, snoozeSeconds: SNOOZE_SECONDS }));
+    return true;
+  }
+
+  if (message.type === "resetSession") {
+    serialize(async () => {
+      const state = await sessionStore.get(FRESH_SESSION);
+      await startNewSession(state, { keepRolling: false });
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
   if (message.type === "resetArticle") {
-    (async () => {
-      await chrome.storage.session.set({ sessionTime: 0, toastDismissed: false });
+    serialize(async () => {
+      const state = await sessionStore.get(FRESH_SESSION);
+      await startNewSession(state, { keepRolling: false });
       if (message.url) {
         const { dismissedArticles = [] } = await chrome.storage.local.get({ dismissedArticles: [] });
         const list = dismissedArticles.filter((u) => u !== message.url);
         await chrome.storage.local.set({ dismissedArticles: list });
       }
-      const tabs = await getSubstackTabs();
-      for (const tabId of tabs) {
-        chrome.tabs.sendMessage(tabId, { type: "resetToast" }).catch(() => {});
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "getSiteRule") {
+    (async () => {
+      const rule = await getSiteRule(message.hostname);
+      const platform = await getCachedDetection(message.hostname);
+      sendResponse({ rule, platform: platform || null });
+    })();
+    return true;
+  }
+
+  // Apply a rule change to open tabs on that host right away
+  if (message.type === "setSiteRule") {
+    (async () => {
+      await setSiteRule(message.hostname, message.rule);
+      const tabs = await chrome.tabs.query({});
+      const tracked = await getSubstackTabs();
+      for (const tab of tabs) {
+        let host;
+        try { host = new URL(tab.url).hostname; } catch { continue; }
+        if (host !== message.hostname) continue;
+        if (message.rule === "never" && tracked.has(tab.id)) {
+          chrome.tabs.sendMessage(tab.id, { type: "updateEnabled", enabled: false }).catch(() => {});
+          await removeSubstackTab(tab.id);
+        } else if (message.rule !== "never") {
+          // A previously blocked tab keeps its content script, so re-enable it too
+          const { enabled = true } = await chrome.storage.local.get({ enabled: true });
+          chrome.tabs.sendMessage(tab.id, { type: "updateEnabled", enabled }).catch(() => {});
+          tryInject(tab.id, tab.url);
+        }
       }
       sendResponse({ ok: true });
     })();
     return true;
   }
 
-  if (message.type === "thresholdChanged") {
+  if (message.type === "getPublicationRule") {
+    (async () => {
+      const key = publicationKey(message.url, message.article);
+      const rule = await getPublicationRule(message.url, message.article);
+      sendResponse({ key, rule });
+    })();
+    return true;
+  }
+
+  // Like scheduleChanged, a raised threshold should fire again when reached
+  if (message.type === "setPublicationRule") {
+    serialize(async () => {
+      await setPublicationRule(message.key, message.rule);
+      const { sessionTime = 0 } = await sessionStore.get({ sessionTime: 0 });
+      const { nudgeStage } = await getNudgeState();
+      const schedule = await getSchedule(message.rule);
+      await sessionStore.set({
+        nudgeStage: Math.min(nudgeStage, stageAt(sessionTime, schedule)),
+      });
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "badgeChanged") {
+    if (!message.showBadge) clearAllBadges();
     sendResponse({ ok: true });
     return true;
   }
 
+  // Re-derive the stage so a shortened or extended schedule takes effect mid-session
+  if (message.type === "scheduleChanged") {
+    serialize(async () => {
+      const { sessionTime = 0 } = await sessionStore.get({ sessionTime: 0 });
+      const { nudgeStage } = await getNudgeState();
+      const schedule = await getSchedule();
+      // A threshold raised past the current time should fire again when reached
+      await sessionStore.set({
+        nudgeStage: Math.min(nudgeStage, stageAt(sessionTime, schedule)),
+      });
+    }).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
   if (message.type === "enabledChanged") {
-    (async () => {
-      const tabs = await getSubstackTabs();
-      for (const tabId of tabs) {
-        chrome.tabs.sendMessage(tabId, {
-          type: "updateEnabled",
-          enabled: message.enabled,
-        }).catch(() => {});
-      }
-      sendResponse({ ok: true });
-    })();
+    setEnabled(message.enabled).then(() => sendResponse({ ok: true }));
     return true;
   }
 });
@@ -1,26 +1,122 @@
-// Content script — injected into Substack article pages
+// Content script — injected into newsletter article pages (after adapters.js)
 // Reports activity to background; background owns the session timer.
-// Content script drives the tick loop (survives service worker suspension).
+// Content script drives the activity loop (survives service worker suspension).
 
 (() => {
   // Prevent double-initialization if script is injected again
   if (window.__micInjected) return;
   window.__micInjected = true;
 
+  // Background sets __micPlatform to the adapter it detected before injecting us
+  const adapter =
+    self.MIC_ADAPTERS.find((a) => a.id === window.__micPlatform) || self.MIC_ADAPTERS[0];
+  // Helpers shared with the side panel (shared.js, injected ahead of us)
+  const { EXPORTER_LABELS, answeredPrompts, replyDraftFromNotes, replyParagraphs } = self.MIC_SHARED;
+
   const ACTIVITY_TIMEOUT = 60_000;
   let enabled = true;
   let lastActivity = Date.now();
   let toastEl = null;
   let toastShowing = false;
+  let interstitialEl = null;
+  // "page" for the injected notes panel, "sidepanel" for Chrome's side panel
+  let notesMode = "page";
+
+  // Later nudges in the schedule get progressively firmer copy
+  const NUDGE_PROMPTS = [
+    "Make it count?",
+    "Still reading \u2014 make it count?",
+    "That's a long session. Make it count?",
+  ];
+  // Feeds, Notes and chat have no article to engage with — nudge toward choosing one
+  const FEED_PROMPT = "Pick one thing to read properly?";
+  // Podcast and video posts — there's nothing to scroll, so nudge toward noting a moment
+  const LISTENING_PROMPT = "Note what's stayed with you so far?";
+
+  const { root: ui, ready: uiReady } = createUIRoot();
 
   init();
 
   async function init() {
-    const settings = await msg({ type: "getSettings" });
+    const settings = await msg({ type: "getSettings", url: articleUrl() });
     enabled = settings.enabled;
+    notesMode = settings.notesMode || "page";
 
     attachActivityListeners();
-    startTickLoop();
+    attachQuoteListeners();
+    attachProgressTracker();
+    startActivityLoop();
+
+    if (settings.openNotes) writeNotesOverBudget();
+    else if (settings.budgetExhausted) showInterstitial();
+  }
+
+  // --- Injected UI root ---
+  // The toast, notes panel and other overlays render into one closed shadow root, so the
+  // page's CSS can't restyle them, styles.css can't leak out, and our IDs can't clash
+  // with the page's. The host stays hidden until the stylesheet has loaded.
+  function createUIRoot() {
+    const host = document.createElement("make-it-count");
+    host.style.setProperty("display", "none", "important");
+    const root = host.attachShadow({ mode: "closed" });
+
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = chrome.runtime.getURL("styles.css");
+    const ready = new Promise((resolve) => {
+      link.addEventListener("load", resolve, { once: true });
+      link.addEventListener("error", resolve, { once: true });
+    }).then(() => host.style.removeProperty("display"));
+    root.appendChild(link);
+
+    // Outside the shadow root key events look like they come from the host, not a text
+    // field, so the page's keyboard shortcuts would fire while typing notes
+    for (const type of ["keydown", "keyup", "keypress"]) {
+      root.addEventListener(type, (e) => e.stopPropagation());
+    }
+
+    document.documentElement.appendChild(host);
+    followPageTheme(host);
+    return { root, ready };
+  }
+
+  // Adds an element to the shadow root and transitions it in (styles.css animates
+  // .mic-visible). Reading offsetWidth first commits the hidden starting state, so the
+  // transition also runs for the first element shown after the stylesheet loads.
+  function showUI(el) {
+    ui.appendChild(el);
+    uiReady.then(() => {
+      void el.offsetWidth;
+      requestAnimationFrame(() => el.isConnected && el.classList.add("mic-visible"));
+    });
+  }
+
+  // The light/dark palette follows the publication's own theme, read from the page's
+  // background colour. Theme toggles show up as class, style or data-theme changes on
+  // <html> or <body>; pages without a background follow the OS setting.
+  function followPageTheme(host) {
+    const scheme = matchMedia("(prefers-color-scheme: dark)");
+    const update = () => {
+      host.dataset.theme = pageTheme() || (scheme.matches ? "dark" : "light");
+    };
+    update();
+
+    const observer = new MutationObserver(update);
+    for (const el of [document.documentElement, document.body]) {
+      if (el) observer.observe(el, { attributes: true, attributeFilter: ["class", "style", "data-theme"] });
+    }
+    scheme.addEventListener("change", update);
+  }
+
+  function pageTheme() {
+    for (const el of [document.body, document.documentElement]) {
+      if (!el) continue;
+      const [r, g, b, a = 1] = (getComputedStyle(el).backgroundColor.match(/[\d.]+/g) || []).map(Number);
+      if (r === undefined || a === 0) continue;
+      // Relative luminance on the 0-255 scale
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b < 128 ? "dark" : "light";
+    }
+    return null;
   }
 
   // --- Activity detection ---
@@ -31,62 +127,242 @@
     document.addEventListener("scroll", bump, { passive: true });
     document.addEventListener("mousemove", bump, { passive: true });
     document.addEventListener("keydown", bump, { passive: true });
+    // Key events don't leave the UI root (see createUIRoot), so typing notes is caught here
+    ui.addEventListener("keydown", bump, { passive: true });
   }
 
   function isActive() {
     return (
       enabled &&
+      !interstitialEl &&
       document.visibilityState === "visible" &&
       Date.now() - lastActivity < ACTIVITY_TIMEOUT
     );
   }
 
-  // --- Tick loop: sends one message per active second to background ---
-  function startTickLoop() {
-    setInterval(async () => {
-      if (!isActive()) return;
+  // --- Listening ---
+  // Audio or video playing on a post counts as listening, with no scrolling or typing
+  // needed and even while the tab is in the background. Muted players (autoplaying
+  // previews) don't count. Players inside iframes, such as YouTube embeds, can't be seen.
+  function isListening() {
+    return enabled && !interstitialEl && !currentSurface() && !!playingMedia();
+  }
 
-      try {
-        const resp = await msg({ type: "tick" });
-        if (resp.showToast && !toastShowing) {
-          showToast(resp.time);
-        }
-      } catch {}
-    }, 1000);
+  function pageMedia() {
+    return [...document.querySelectorAll("audio, video")];
+  }
+
+  function playingMedia() {
+    return pageMedia().find((m) => !m.paused && !m.ended && !m.muted && m.volume > 0) || null;
+  }
+
+  // "[12:34]" from the player that's playing, or else the one last left partway through
+  function mediaTimestamp() {
+    const media = playingMedia() || pageMedia().find((m) => m.currentTime > 0);
+    return media ? `[${formatClock(media.currentTime)}]` : null;
+  }
+
+  // --- Activity loop ---
+  // Samples activity every second into wall-clock intervals and reports them to
+  // background in batches. Reading and listening go in separate lists; when both
+  // apply the second counts as listening. Unacknowledged batches (service worker
+  // asleep or restarting) are kept and retried with the next flush; a batch
+  // background failed to record is dropped rather than retried forever. Once the
+  // extension is reloaded or updated under the page, this copy stops for good.
+  const SAMPLE_MS = 1000;
+  const FLUSH_MS = 5000;
+  let pendingIntervals = { reading: [], listening: [] };
+  let activityTimers = [];
+
+  function startActivityLoop() {
+    activityTimers = [setInterval(sampleActivity, SAMPLE_MS), setInterval(flushActivity, FLUSH_MS)];
+    document.addEventListener("visibilitychange", flushWhenHidden);
+    window.addEventListener("pagehide", flushActivity);
+  }
+
+  function stopActivityLoop() {
+    activityTimers.forEach(clearInterval);
+    activityTimers = [];
+    document.removeEventListener("visibilitychange", flushWhenHidden);
+    window.removeEventListener("pagehide", flushActivity);
+    pendingIntervals = { reading: [], listening: [] };
+  }
+
+  function flushWhenHidden() {
+    if (document.visibilityState === "hidden") flushActivity();
+  }
+
+  function sampleActivity() {
+    const kind = isListening() ? "listening" : isActive() ? "reading" : null;
+    if (!kind) return;
+    const list = pendingIntervals[kind];
+    const now = Date.now();
+    const last = list[list.length - 1];
+    // Extend the open interval unless a sample was skipped (inactive in between)
+    if (last && now - last[1] <= SAMPLE_MS * 1.5) last[1] = now;
+    else list.push([now - SAMPLE_MS, now]);
+  }
+
+  async function flushActivity() {
+    const { reading, listening } = pendingIntervals;
+    if (!reading.length && !listening.length) return;
+    pendingIntervals = { reading: [], listening: [] };
+
+    const requeue = () => {
+      pendingIntervals = {
+        reading: reading.concat(pendingIntervals.reading),
+        listening: listening.concat(pendingIntervals.listening),
+      };
+    };
+    const surface = currentSurface();
+    let resp;
+    try {
+      resp = await msg({
+        type: "activity",
+        intervals: reading,
+        listening,
+        url: articleUrl(),
+        surface: surface?.id,
+        article: surface ? undefined : historyArticle(),
+      });
+    } catch {
+      // sendMessage throws once the extension is reloaded or updated under this page;
+      // chrome.runtime.id is gone then too. Anything else is worth another try.
+      if (chrome.runtime?.id) requeue();
+      else stopActivityLoop();
+      return;
+    }
+    if (resp.error) return;
+    if (resp.time === undefined) {
+      requeue();
+      return;
+    }
+
+    if (resp.budgetExhausted) {
+      showInterstitial();
+      return;
+    }
+
+    if (resp.showToast && !toastShowing) {
+      if (surface) showSurfaceToast(resp);
+      else if (playingMedia()) showListeningToast(resp);
+      else showToast(resp.time, resp.nudgeStage);
+    }
+  }
+
+  // The nudge fires on whole-session time, so "You've scrolled Notes for …" is only
+  // said when most of that time was spent on this surface
+  function showSurfaceToast({ time, surfaceTime, nudgeStage }) {
+    if (surfaceTime * 2 >= time) showToast(surfaceTime, nudgeStage, "surface");
+    else showToast(time, nudgeStage, "surface-session");
+  }
+
+  // Likewise a player that happens to be going shouldn't turn a reading nudge into
+  // "You've been listening for 5 seconds"
+  function showListeningToast({ time, listeningTime, nudgeStage }) {
+    if (listeningTime * 2 >= time) showToast(listeningTime, nudgeStage, "listening");
+    else showToast(time, nudgeStage);
+  }
+
+  // --- Reading progress ---
+  // Tracks how far the reader has scrolled through the post body (not the comments).
+  // Reaching the end marks the post completed and may trigger the end-of-article
+  // nudge (background decides whether that's turned on).
+  const COMPLETION_DEPTH = 0.95;
+  const PROGRESS_STEP = 0.05;
+  let maxDepth = 0;
+  let reportedDepth = 0;
+  let completed = false;
+
+  async function attachProgressTracker() {
+    const progress = await msg({ type: "getProgress", url: articleUrl() });
+    maxDepth = reportedDepth = progress.maxDepth || 0;
+    completed = !!progress.completed;
+
+    const update = debounce(updateProgress, 300);
+    document.addEventListener("scroll", update, { passive: true });
+    update();
+  }
+
+  function scrollDepth() {
+    const body = articleBody();
+    if (body === document.body) return 0;
+    const rect = body.getBoundingClientRect();
+    if (rect.height <= 0) return 0;
+    return Math.min(Math.max((window.innerHeight - rect.top) / rect.height, 0), 1);
+  }
+
+  async function updateProgress() {
+    if (!enabled || currentSurface()) return;
+    const depth = scrollDepth();
+    if (depth <= maxDepth) return;
+    maxDepth = depth;
+
+    const justCompleted = !completed && depth >= COMPLETION_DEPTH;
+    if (!justCompleted && depth - reportedDepth < PROGRESS_STEP) return;
+    if (justCompleted) completed = true;
+    reportedDepth = depth;
+
+    const resp = await msg({
+      type: "readingProgress",
+      url: articleUrl(),
+      article: historyArticle(),
+      depth,
+      completed: justCompleted,
+    });
+    if (resp.showToast && !toastShowing) showToast(resp.time, 0, "end");
   }
 
   // --- Toast (shown when background says threshold is reached) ---
-  function showToast(totalSeconds) {
+  function showToast(totalSeconds, stage = 0, reason = "time") {
     if (toastShowing) return;
     toastShowing = true;
 
-    const minutes = Math.floor(totalSeconds / 60);
-    const timeLabel =
-      minutes < 1
-        ? `${totalSeconds} seconds`
-        : minutes === 1
-          ? "1 minute"
-          : `${minutes} minutes`;
+    const timeLabel = formatDuration(totalSeconds);
+    // "surface-session" is a surface nudge that reports the whole session's time
+    const surface = reason === "surface" || reason === "surface-session" ? currentSurface() : null;
+    const listening = reason === "listening";
+
+    const lead =
+      reason === "end"
+        ? "You've reached the end of this post."
+        : surface && reason === "surface"
+          ? surface.nudge.replace("{time}", `<strong>${timeLabel}</strong>`)
+          : listening
+            ? `You've been listening for <strong>${timeLabel}</strong>.`
+            : `You've spent <strong>${timeLabel}</strong> on ${adapter.name}.`;
+    const prompt = surface
+      ? FEED_PROMPT
+      : listening
+        ? LISTENING_PROMPT
+        : NUDGE_PROMPTS[Math.min(stage, NUDGE_PROMPTS.length - 1)];
+    const primaryActions = surface
+      ? `<button class="mic-btn mic-btn-primary" id="mic-close-tab">Close tab</button>`
+      : `<button class="mic-btn mic-btn-primary" id="mic-notes">${listening ? "Note this moment" : "Take notes"}</button>
+          <button class="mic-btn mic-btn-secondary" id="mic-share">Share</button>`;
 
     toastEl = document.createElement("div");
     toastEl.id = "mic-toast";
     toastEl.innerHTML = `
       <div class="mic-toast-inner">
-        <p class="mic-toast-msg">You've spent <strong>${timeLabel}</strong> on Substack. <span class="mic-tooltip-wrap">Make it count?<span class="mic-tooltip">Active engagement\u2014commenting, sharing, questioning\u2014builds understanding.</span></span></p>
+        <p class="mic-toast-msg">${lead} <span class="mic-tooltip-wrap">${prompt}<span class="mic-tooltip">Active engagement\u2014commenting, sharing, questioning\u2014builds understanding.</span></span></p>
         <div class="mic-toast-actions">
-          <button class="mic-btn mic-btn-primary" id="mic-notes">Take notes</button>
-          <button class="mic-btn mic-btn-secondary" id="mic-share">Share</button>
+          ${primaryActions}
+          <button class="mic-btn mic-btn-ghost" id="mic-snooze">Snooze 10 min</button>
           <button class="mic-btn mic-btn-ghost" id="mic-dismiss">Dismiss</button>
         </div>
       </div>
     `;
-    document.body.appendChild(toastEl);
+    showUI(toastEl);
 
-    requestAnimationFrame(() => toastEl.classList.add("mic-visible"));
-
-    document.getElementById("mic-notes").addEventListener("click", openNotesPanel);
-    document.getElementById("mic-share").addEventListener("click", shareArticle);
-    document.getElementById("mic-dismiss").addEventListener("click", dismissToast);
+    if (surface) {
+      ui.getElementById("mic-close-tab").addEventListener("click", () => msg({ type: "closeTab" }));
+    } else {
+      ui.getElementById("mic-notes").addEventListener("click", listening ? noteMoment : showNotes);
+      ui.getElementById("mic-share").addEventListener("click", shareArticle);
+    }
+    ui.getElementById("mic-snooze").addEventListener("click", snoozeToast);
+    ui.getElementById("mic-dismiss").addEventListener("click", dismissToast);
   }
 
   function removeToast() {
@@ -98,13 +374,122 @@
     setTimeout(() => { try { el.remove(); } catch(e) {} }, 500);
   }
 
+  // --- Daily budget interstitial ---
+  // Covers the page once today's budget is used up; reading time isn't sampled while
+  // it's up. "Write notes" lifts it for as long as the notes panel stays open. While
+  // up it rechecks the budget, which may have been raised or rolled over at midnight.
+  const BUDGET_RECHECK_MS = 60_000;
+  let notesOverBudget = false;
+  let budgetRecheck = null;
+
+  async function showInterstitial() {
+    if (interstitialEl || notesOverBudget) return;
+    // The covered nudge wasn't answered, so later ones can show once the page is back
+    removeToast();
+    toastShowing = false;
+    interstitialEl = document.createElement("div");
+    interstitialEl.id = "mic-interstitial";
+    const el = interstitialEl;
+
+    const { articles = [], seconds = 0 } = await msg({ type: "getTodayReading" });
+    if (interstitialEl !== el) return;
+    const here = currentSurface() ? null : articleUrl();
+    // Notes go on this article, or else the last one read today
+    const notesTarget = here || articles[0]?.url;
+
+    el.innerHTML = `
+      <div class="mic-interstitial-inner">
+        <p class="mic-interstitial-title">That's your reading budget for today.</p>
+        <p class="mic-interstitial-msg">You've spent <strong>${formatDuration(seconds)}</strong> reading today. Before you go on, make it count.</p>
+        <ul class="mic-interstitial-list" id="mic-interstitial-list"></ul>
+        <div class="mic-toast-actions">
+          <button class="mic-btn mic-btn-primary" id="mic-budget-notes">Write notes on what you read today</button>
+          <button class="mic-btn mic-btn-secondary" id="mic-budget-extend">Allow 10 more minutes</button>
+          <button class="mic-btn mic-btn-ghost" id="mic-budget-close">Close tab</button>
+        </div>
+      </div>
+    `;
+
+    const list = el.querySelector("#mic-interstitial-list");
+    for (const article of articles.slice(0, 5)) {
+      const item = document.createElement("li");
+      const link = document.createElement("button");
+      link.className = "mic-interstitial-article";
+      link.textContent = article.title;
+      link.title = article.notes ? "Open your notes" : "Take notes on this";
+      link.addEventListener("click", () => writeNotesOn(article.url));
+      item.appendChild(link);
+      if (article.publication) {
+        const pub = document.createElement("span");
+        pub.textContent = ` \u00b7 ${article.publication}`;
+        item.appendChild(pub);
+      }
+      list.appendChild(item);
+    }
+    list.hidden = !articles.length;
+
+    const notesBtn = el.querySelector("#mic-budget-notes");
+    notesBtn.disabled = !notesTarget;
+    notesBtn.addEventListener("click", () => writeNotesOn(notesTarget));
+    el.querySelector("#mic-budget-extend").addEventListener("click", () => msg({ type: "extendBudget" }));
+    el.querySelector("#mic-budget-close").addEventListener("click", () => msg({ type: "closeTab" }));
+
+    showUI(el);
+
+    budgetRecheck = setInterval(async () => {
+      const settings = await msg({ type: "getSettings" });
+      if (settings.enabled !== undefined && !settings.budgetExhausted) removeInterstitial();
+    }, BUDGET_RECHECK_MS);
+  }
+
+  function removeInterstitial() {
+    clearInterval(budgetRecheck);
+    if (!interstitialEl) return;
+    const el = interstitialEl;
+    interstitialEl = null;
+    el.classList.remove("mic-visible");
+    el.addEventListener("transitionend", () => el.remove(), { once: true });
+    setTimeout(() => { try { el.remove(); } catch(e) {} }, 500);
+  }
+
+  function writeNotesOn(url) {
+    if (url === articleUrl() && !currentSurface()) writeNotesOverBudget();
+    else msg({ type: "budgetNotes", url });
+  }
+
+  function writeNotesOverBudget() {
+    notesOverBudget = true;
+    removeInterstitial();
+    showNotes();
+  }
+
+  // --- Notes panel ---
+  // Notes open in Chrome's side panel when the reader has chosen that mode (it survives
+  // navigation and follows the active tab; see sidepanel.js), otherwise in a panel
+  // injected into the page. Opening the side panel needs a user gesture, so if
+  // background couldn't open it we fall back to the in-page panel.
+  async function showNotes() {
+    if (notesMode === "sidepanel") {
+      const { opened } = await msg({ type: "openSidePanel" });
+      if (opened) {
+        removeToast();
+        return;
+      }
+    }
+    openNotesPanel();
+  }
+
   let notesPanelEl = null;
+  let notesReady = Promise.resolve();
+  let noteQuotes = [];
+  // Until the saved draft arrives, an empty panel would save over (and so delete) it
+  let draftLoaded = false;
 
   function openNotesPanel() {
     removeToast();
-    if (notesPanelEl) return;
+    if (notesPanelEl) return notesReady;
 
-    const title = document.querySelector("h1.post-title, h1")?.textContent?.trim() || document.title;
+    const title = articleTitle();
 
     notesPanelEl = document.createElement("div");
     notesPanelEl.id = "mic-notes-panel";
@@ -112,126 +497,794 @@
       <div class="mic-notes-inner">
         <div class="mic-notes-header">
           <span class="mic-notes-title">Notes</span>
-          <button class="mic-notes-close" id="mic-notes-close">\u00d7</button>
+          <div class="mic-prompt-actions">
+            <button class="mic-prompt-btn" id="mic-timestamp" title="Insert the player's current time" hidden>Timestamp</button>
+            <button class="mic-notes-close" id="mic-notes-close">\u00d7</button>
+          </div>
+        </div>
+        <div class="mic-prompt" id="mic-prompt" hidden>
+          <span class="mic-prompt-text" id="mic-prompt-text"></span>
+          <div class="mic-prompt-actions">
+            <button class="mic-prompt-btn" id="mic-prompt-next" title="Another prompt">\u21bb</button>
+            <button class="mic-prompt-btn" id="mic-prompt-insert">Insert</button>
+          </div>
         </div>
         <textarea class="mic-notes-textarea" id="mic-notes-textarea" placeholder="What stood out? What do you disagree with? What would you ask the author?"></textarea>
+        <div class="mic-notes-quotes" id="mic-notes-quotes"></div>
         <div class="mic-notes-footer">
-          <button class="mic-btn mic-btn-secondary" id="mic-send-obsidian">Send to Obsidian</button>
+          <div class="mic-notes-exporters" id="mic-notes-exporters"></div>
           <button class="mic-btn mic-btn-primary" id="mic-write-reply">Write a reply</button>
         </div>
+        <div class="mic-reply" id="mic-reply">
+          <select class="mic-reply-target" id="mic-reply-target"></select>
+          <div class="mic-reply-quotes" id="mic-reply-quotes"></div>
+          <textarea class="mic-notes-textarea" id="mic-reply-text" placeholder="Your comment"></textarea>
+          <div class="mic-reply-label">Preview</div>
+          <div class="mic-reply-preview" id="mic-reply-preview"></div>
+          <p class="mic-reply-status" id="mic-reply-status" role="status"></p>
+          <div class="mic-notes-footer">
+            <button class="mic-btn mic-btn-ghost" id="mic-reply-back">Back to notes</button>
+            <button class="mic-btn mic-btn-secondary" id="mic-reply-copy">Copy</button>
+            <button class="mic-btn mic-btn-primary" id="mic-reply-insert">Insert into comment box</button>
+          </div>
+        </div>
       </div>
     `;
-    document.body.appendChild(notesPanelEl);
-    requestAnimationFrame(() => notesPanelEl.classList.add("mic-visible"));
+    showUI(notesPanelEl);
 
-    document.getElementById("mic-notes-textarea").focus();
+    const textarea = ui.getElementById("mic-notes-textarea");
+    textarea.focus();
 
-    document.getElementById("mic-notes-close").addEventListener("click", closeNotesPanel);
-    document.getElementById("mic-send-obsidian").addEventListener("click", () => {
-      const notes = document.getElementById("mic-notes-textarea").value;
-      sendToObsidian(title, notes);
-    });
-    document.getElementById("mic-write-reply").addEventListener("click", () => {
-      scrollToComments();
+    // Restore any saved draft for this article, unless the user already started typing
+    noteQuotes = [];
+    draftLoaded = false;
+    const autosave = debounce(() => saveNotes(title, textarea.value), 500);
+    notesReady = msg({ type: "getNote", url: articleUrl() }).then(({ note }) => {
+      const typed = !!textarea.value;
+      if (note?.body && !typed) textarea.value = note.body;
+      noteQuotes = note?.quotes || [];
+      draftLoaded = true;
+      renderQuotes();
+      if (typed) autosave();
     });
+
+    textarea.addEventListener("input", autosave);
+
+    ui.getElementById("mic-notes-close").addEventListener("click", closeNotesPanel);
+    const timestampBtn = ui.getElementById("mic-timestamp");
+    timestampBtn.hidden = !pageMedia().length;
+    timestampBtn.addEventListener("click", () => insertTimestamp(mediaTimestamp()));
+    ui.getElementById("mic-prompt-next").addEventListener("click", () => showPrompt(promptIndex + 1));
+    ui.getElementById("mic-prompt-insert").addEventListener("click", insertPrompt);
+    loadPrompts();
+    renderExporterButtons(title);
+    ui.getElementById("mic-write-reply").addEventListener("click", openReplyComposer);
+    ui.getElementById("mic-reply-back").addEventListener("click", closeReplyComposer);
+    ui.getElementById("mic-reply-copy").addEventListener("click", copyReply);
+    ui.getElementById("mic-reply-insert").addEventListener("click", insertReply);
+    ui.getElementById("mic-reply-text").addEventListener("input", updateReplyPreview);
+    ui.getElementById("mic-reply-target").addEventListener("focus", loadReplyTargets);
+
+    return notesReady;
   }
 
   function closeNotesPanel() {
     if (!notesPanelEl) return;
+    flushNotes();
     const el = notesPanelEl;
     notesPanelEl = null;
     el.classList.remove("mic-visible");
     el.addEventListener("transitionend", () => el.remove(), { once: true });
     setTimeout(() => { try { el.remove(); } catch(e) {} }, 500);
+    // The next activity report puts the interstitial back if the budget is still used up
+    notesOverBudget = false;
   }
 
-  function sendToObsidian(title, notes) {
-    const content = `# ${title}\n\nSource: ${articleUrl()}\n\n## Notes\n\n${notes}`;
-    const uri = `obsidian://new?name=${encodeURIComponent(title)}&content=${encodeURIComponent(content)}`;
-    window.open(uri, "_self");
-    closeNotesPanel();
+  // --- Notes persistence (background owns the store) ---
+  function saveNotes(title, body) {
+    if (!draftLoaded) return Promise.resolve({});
+    return msg({
+      type: "saveNote",
+      url: articleUrl(),
+      title,
+      body,
+      quotes: noteQuotes,
+      prompts: answeredPrompts(body, reflectionPrompts),
+      meta: articleMetadata(),
+    });
+  }
+
+  // Save immediately instead of waiting for the autosave debounce
+  function flushNotes() {
+    const textarea = ui.getElementById("mic-notes-textarea");
+    if (!textarea) return;
+    saveNotes(articleTitle(), textarea.value);
+  }
+
+  window.addEventListener("pagehide", flushNotes);
+
+  // --- Reflection prompts ---
+  // One prompt at a time above the textarea; the reader can cycle through them or
+  // insert the current one as a heading. Prompts whose heading has text under it
+  // are recorded with the note as answered.
+  let reflectionPrompts = [];
+  let promptIndex = 0;
+
+  async function loadPrompts() {
+    const { prompts = [], defaultPromptId } = await msg({ type: "getPrompts", ...publicationContext() });
+    reflectionPrompts = prompts.filter((p) => p.enabled);
+    if (!reflectionPrompts.length) return;
+
+    // The publication's default prompt comes first if it's still enabled
+    const preferred = reflectionPrompts.findIndex((p) => p.id === defaultPromptId);
+    if (preferred !== -1) {
+      showPrompt(preferred);
+      return;
+    }
+
+    // Otherwise start at a stable position per article so reopening shows the same prompt
+    let hash = 0;
+    for (const ch of articleUrl()) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+    showPrompt(Math.abs(hash));
+  }
+
+  function showPrompt(index) {
+    const container = ui.getElementById("mic-prompt");
+    if (!container || !reflectionPrompts.length) return;
+    promptIndex = index % reflectionPrompts.length;
+    const prompt = reflectionPrompts[promptIndex];
+    container.hidden = false;
+    ui.getElementById("mic-prompt-text").textContent = prompt.text;
+    ui.getElementById("mic-notes-textarea").placeholder = prompt.text;
+  }
+
+  function insertPrompt() {
+    const textarea = ui.getElementById("mic-notes-textarea");
+    const prompt = reflectionPrompts[promptIndex];
+    if (!textarea || !prompt) return;
+
+    const before = textarea.value.replace(/\s*$/, "");
+    textarea.value = `${before}${before ? "\n\n" : ""}## ${prompt.text}\n\n`;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    showPrompt(promptIndex + 1);
+  }
+
+  // Starts a new paragraph with the player's time, e.g. "[12:34] "
+  function insertTimestamp(stamp) {
+    const textarea = ui.getElementById("mic-notes-textarea");
+    if (!textarea || !stamp) return;
+
+    const before = textarea.value.replace(/\s*$/, "");
+    textarea.value = `${before}${before ? "\n\n" : ""}${stamp} `;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    saveNotes(articleTitle(), textarea.value);
+  }
+
+  // The listening nudge's primary action: open the notes at the current point in the player
+  async function noteMoment() {
+    const stamp = mediaTimestamp();
+    if (notesMode === "sidepanel") {
+      const { opened } = await msg({ type: "openSidePanel" });
+      if (opened) {
+        removeToast();
+        if (stamp) msg({ type: "addTimestamp", url: articleUrl(), title: articleTitle(), meta: articleMetadata(), stamp });
+        return;
+      }
+    }
+    await openNotesPanel();
+    insertTimestamp(stamp);
+  }
+
+  // --- Highlight-to-quote ---
+  // Selecting text in the post body shows a floating "Quote" button. Quoting appends a
+  // Markdown blockquote to the notes and stores a text anchor (prefix/exact/suffix)
+  // so the passage can be found again later.
+  const QUOTE_CONTEXT = 32;
+  let quoteBtnEl = null;
+
+  function attachQuoteListeners() {
+    // Let the selection settle before reading it
+    document.addEventListener("mouseup", () => setTimeout(updateQuoteButton, 0));
+    document.addEventListener("mousedown", removeQuoteButton);
+    document.addEventListener("scroll", removeQuoteButton, { passive: true });
+  }
+
+  function updateQuoteButton() {
+    const range = selectedArticleRange();
+    if (!enabled || !range || currentSurface()) {
+      removeQuoteButton();
+      return;
+    }
+
+    const rect = range.getBoundingClientRect();
+    if (!quoteBtnEl) {
+      quoteBtnEl = document.createElement("button");
+      quoteBtnEl.id = "mic-quote-btn";
+      quoteBtnEl.className = "mic-btn mic-btn-primary";
+      quoteBtnEl.textContent = "Quote";
+      // Outside the closed shadow root these look like clicks on the host, so the button
+      // keeps them from reaching the document listeners that would move or remove it.
+      // preventDefault keeps the selection alive until the click quotes it.
+      quoteBtnEl.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      quoteBtnEl.addEventListener("mouseup", (e) => e.stopPropagation());
+      quoteBtnEl.addEventListener("click", quoteSelection);
+      ui.appendChild(quoteBtnEl);
+    }
+    quoteBtnEl.style.top = `${Math.max(rect.top - 40, 8)}px`;
+    quoteBtnEl.style.left = `${rect.left + rect.width / 2}px`;
+  }
+
+  function removeQuoteButton() {
+    if (!quoteBtnEl) return;
+    quoteBtnEl.remove();
+    quoteBtnEl = null;
+  }
+
+  // Returns the current selection range if it is non-empty and inside the post body
+  function selectedArticleRange() {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || sel.rangeCount === 0) return null;
+    const range = sel.getRangeAt(0);
+    const body = articleBody();
+    if (!body.contains(range.commonAncestorContainer)) return null;
+    if (!range.toString().trim()) return null;
+    return range;
+  }
+
+  async function quoteSelection() {
+    const range = selectedArticleRange();
+    removeQuoteButton();
+    if (!range) return;
+
+    const quote = captureQuote(range);
+    window.getSelection().removeAllRanges();
+
+    if (notesMode === "sidepanel" && !notesPanelEl) {
+      const { opened } = await msg({ type: "openSidePanel" });
+      if (opened) {
+        msg({ type: "addQuote", url: articleUrl(), title: articleTitle(), meta: articleMetadata(), quote });
+        return;
+      }
+    }
+
+    await openNotesPanel();
+    const textarea = ui.getElementById("mic-notes-textarea");
+    if (!textarea) return;
+
+    const block = quote.text.split("\n").map((line) => `> ${line}`).join("\n");
+    const before = textarea.value.replace(/\s*$/, "");
+    textarea.value = `${before}${before ? "\n\n" : ""}${block}\n\n`;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+
+    noteQuotes.push(quote);
+    renderQuotes();
+    saveNotes(articleTitle(), textarea.value);
+  }
+
+  function captureQuote(range) {
+    const body = articleBody();
+    const text = normalizeWhitespace(range.toString());
+
+    const pre = document.createRange();
+    pre.setStart(body, 0);
+    pre.setEnd(range.startContainer, range.startOffset);
+    const post = document.createRange();
+    post.setStart(range.endContainer, range.endOffset);
+    post.setEnd(body, body.childNodes.length);
+
+    return {
+      text,
+      prefix: normalizeWhitespace(pre.toString()).slice(-QUOTE_CONTEXT),
+      suffix: normalizeWhitespace(post.toString()).slice(0, QUOTE_CONTEXT),
+      createdAt: Date.now(),
+    };
+  }
+
+  function renderQuotes() {
+    const list = ui.getElementById("mic-notes-quotes");
+    if (!list) return;
+    list.textContent = "";
+    for (const quote of noteQuotes) {
+      const item = document.createElement("button");
+      item.className = "mic-notes-quote";
+      item.textContent = quote.text;
+      item.title = "Scroll to passage";
+      item.addEventListener("click", () => scrollToQuote(quote));
+      list.appendChild(item);
+    }
+  }
+
+  // Locate a stored quote in the post body by its anchor, then scroll to and select it
+  function scrollToQuote(quote) {
+    const range = findQuoteRange(quote);
+    if (!range) return false;
+    range.startContainer.parentElement?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return true;
+  }
+
+  function findQuoteRange(quote) {
+    // Flatten the body's text nodes into one whitespace-normalized string, keeping a
+    // map from each character back to its node and offset.
+    const walker = document.createTreeWalker(articleBody(), NodeFilter.SHOW_TEXT);
+    const positions = [];
+    let flat = "";
+    let lastWasSpace = true;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        const isSpace = /\s/.test(value[i]);
+        if (isSpace && lastWasSpace) continue;
+        flat += isSpace ? " " : value[i];
+        positions.push({ node, offset: i });
+        lastWasSpace = isSpace;
+      }
+    }
+
+    // The same text may appear more than once; prefer the match whose surroundings
+    // agree with the stored prefix/suffix.
+    const prefix = quote.prefix.trim();
+    const suffix = quote.suffix.trim();
+    let start = -1;
+    let bestScore = -1;
+    for (let idx = flat.indexOf(quote.text); idx !== -1; idx = flat.indexOf(quote.text, idx + 1)) {
+      const score =
+        (flat.slice(0, idx).trimEnd().endsWith(prefix) ? 1 : 0) +
+        (flat.slice(idx + quote.text.length).trimStart().startsWith(suffix) ? 1 : 0);
+      if (score > bestScore) {
+        start = idx;
+        bestScore = score;
+      }
+    }
+    if (start === -1) return null;
+
+    const first = positions[start];
+    const last = positions[start + quote.text.length - 1];
+    const range = document.createRange();
+    range.setStart(first.node, first.offset);
+    range.setEnd(last.node, last.offset + 1);
+    return range;
+  }
+
+  // Link that scrolls straight to the passage via a URL text fragment
+  function quoteLink(quote) {
+    const enc = (s) => encodeURIComponent(s).replace(/-/g, "%2D");
+    const prefix = quote.prefix ? `${enc(quote.prefix.trim())}-,` : "";
+    const suffix = quote.suffix ? `,-${enc(quote.suffix.trim())}` : "";
+    return `${articleUrl()}#:~:text=${prefix}${enc(quote.text)}${suffix}`;
+  }
+
+  // --- Exporters ---
+  // Each exporter takes the current note and sends it somewhere. The user picks which
+  // ones get a button in the notes panel footer (settings page, `enabledExporters`).
+  const EXPORTERS = {
+    obsidian: { label: EXPORTER_LABELS.obsidian, run: sendToObsidian },
+    markdown: { label: EXPORTER_LABELS.markdown, run: downloadMarkdown },
+    logseq: { label: EXPORTER_LABELS.logseq, run: copyLogseq },
+    readwise: { label: EXPORTER_LABELS.readwise, run: downloadReadwiseCsv },
+    json: { label: EXPORTER_LABELS.json, run: downloadJson },
+  };
+
+  // Where exporters send clipboard text and app links. The side panel passes its own,
+  // since a page that doesn't have focus can't write the clipboard or launch apps.
+  const pageOutput = {
+    copy: (text) => navigator.clipboard.writeText(text),
+    open: (uri) => window.open(uri, "_self"),
+  };
+
+  async function renderExporterButtons(title) {
+    const { exporters = ["obsidian"] } = await msg({ type: "getSettings" });
+    const container = ui.getElementById("mic-notes-exporters");
+    if (!container) return;
+
+    for (const id of exporters) {
+      const exporter = EXPORTERS[id];
+      if (!exporter) continue;
+      const btn = document.createElement("button");
+      btn.className = "mic-btn mic-btn-secondary";
+      btn.textContent = exporter.label;
+      btn.addEventListener("click", async () => {
+        const notes = ui.getElementById("mic-notes-textarea")?.value || "";
+        try {
+          const result = await exporter.run(title, notes, pageOutput);
+          if (result) flashButton(btn, result, exporter.label);
+        } catch {
+          flashButton(btn, "Failed", exporter.label);
+        }
+      });
+      container.appendChild(btn);
+    }
   }
 
-  function scrollToComments() {
-    const notes = document.getElementById("mic-notes-textarea")?.value || "";
+  function flashButton(btn, text, original) {
+    btn.textContent = text;
+    setTimeout(() => (btn.textContent = original), 1200);
+  }
+
+  async function downloadMarkdown(title, notes) {
+    const settings = await msg({ type: "getObsidianSettings" });
+    const values = templateValues(title, notes, settings);
+    const name = sanitizeFilename(renderTemplate(settings.filename, values)) || "Untitled";
+    downloadFile(`${name}.md`, renderTemplate(settings.template, values), "text/markdown");
+    return "Downloaded";
+  }
+
+  // Logseq pages are outlines: every paragraph is a "- " block, properties use "key:: value"
+  async function copyLogseq(title, notes, output) {
+    const meta = articleMetadata();
+    const indent = (text, depth) =>
+      text.split("\n").map((line, i) => `${"  ".repeat(depth)}${i === 0 ? "- " : "  "}${line}`).join("\n");
+
+    const lines = [
+      indent(`[[${title}]]`, 0),
+      `  source:: ${articleUrl()}`,
+      meta.author && `  author:: ${meta.author}`,
+      meta.publication && `  publication:: [[${meta.publication}]]`,
+      meta.publishedAt && `  published:: ${meta.publishedAt.slice(0, 10)}`,
+    ];
+    const paragraphs = notes.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+    if (paragraphs.length) {
+      lines.push(indent("Notes", 1));
+      paragraphs.forEach((p) => lines.push(indent(p, 2)));
+    }
+    if (noteQuotes.length) {
+      lines.push(indent("Quotes", 1));
+      noteQuotes.forEach((q) => lines.push(indent(`> ${q.text}\n[Open passage](${quoteLink(q)})`, 2)));
+    }
+
+    await output.copy(lines.filter(Boolean).join("\n"));
+    return "Copied!";
+  }
+
+  // Readwise CSV import format: one highlight per row. Free-form notes go in as a
+  // highlight of their own so they aren't lost.
+  function downloadReadwiseCsv(title, notes) {
+    const meta = articleMetadata();
+    const header = ["Highlight", "Title", "Author", "URL", "Note", "Location", "Date"];
+    const row = (highlight, url, date) =>
+      [highlight, title, meta.author || "", url, "", "", formatCsvDate(date)];
+
+    const rows = noteQuotes.map((q) => row(q.text, quoteLink(q), q.createdAt));
+    if (notes.trim()) rows.push(row(notes.trim(), articleUrl(), Date.now()));
+
+    const csv = [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n");
+    downloadFile(`${sanitizeFilename(title) || "highlights"}.csv`, csv, "text/csv");
+    return "Downloaded";
+  }
+
+  function downloadJson(title, notes) {
+    const data = {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      url: articleUrl(),
+      title,
+      meta: articleMetadata(),
+      notes,
+      quotes: noteQuotes.map((q) => ({ ...q, link: quoteLink(q) })),
+    };
+    downloadFile(`${sanitizeFilename(title) || "notes"}.json`, JSON.stringify(data, null, 2), "application/json");
+    return "Downloaded";
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function formatCsvDate(ms) {
+    return new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+  }
+
+  // --- Obsidian export ---
+  async function sendToObsidian(title, notes, output) {
+    const settings = await msg({ type: "getObsidianSettings" });
+    const values = templateValues(title, notes, settings);
+    const content = renderTemplate(settings.template, values);
+
+    let name = sanitizeFilename(renderTemplate(settings.filename, values)) || "Untitled";
+    if (settings.onExisting === "unique") {
+      name += ` ${new Date().toISOString().slice(0, 16).replace("T", " ").replace(":", "")}`;
+    }
+    const folder = settings.folder
+      .split("/")
+      .map(sanitizeFilename)
+      .filter(Boolean)
+      .join("/");
+
+    const params = new URLSearchParams();
+    if (settings.vault) params.set("vault", settings.vault);
+    params.set("file", folder ? `${folder}/${name}` : name);
+    params.set("content", content);
+    if (settings.onExisting === "overwrite") params.set("overwrite", "true");
+    if (settings.onExisting === "append") params.set("append", "true");
+
+    // URLSearchParams encodes spaces as "+", which Obsidian doesn't decode
+    const uri = `obsidian://new?${params.toString().replace(/\+/g, "%20")}`;
+    output.open(uri);
     closeNotesPanel();
+  }
 
-    const commentSection =
-      document.querySelector(".comments-page") ||
-      document.querySelector('[data-testid="comment-list"]') ||
-      document.querySelector(".comments") ||
-      document.querySelector("#entry-comments") ||
-      document.querySelector(".post-footer");
+  function templateValues(title, notes, settings) {
+    const meta = articleMetadata();
+    const tags = settings.tags
+      .split(",")
+      .map((t) => t.trim().replace(/^#/, "").replace(/\s+/g, "-"))
+      .filter(Boolean);
+    const quotes = noteQuotes
+      .map((q) => `${q.text.split("\n").map((line) => `> ${line}`).join("\n")}\n> [Open passage](${quoteLink(q)})`)
+      .join("\n\n");
 
-    if (commentSection) {
-      commentSection.scrollIntoView({ behavior: "smooth", block: "start" });
-    } else {
-      window.scrollTo({ top: document.body.scrollHeight, behavior: "smooth" });
-    }
-
-    if (!notes) return;
-
-    // Substack lazy-loads the comment editor. Click the comment button to open it,
-    // then poll for the editor to appear.
-    setTimeout(() => {
-      // Try clicking a "write a comment" or reply button to open the editor
-      const commentBtn =
-        document.querySelector('button[data-testid="comment-button"]') ||
-        document.querySelector('button.reader-comments-header-button') ||
-        document.querySelector('.comment-input-wrap') ||
-        Array.from(document.querySelectorAll("button")).find(
-          (b) => /write a comment|leave a comment|add a comment/i.test(b.textContent)
-        );
-      if (commentBtn) commentBtn.click();
-
-      // Poll for the editor to appear (up to 5 seconds)
-      let attempts = 0;
-      const poll = setInterval(() => {
-        attempts++;
-        const editor = findCommentEditor();
-        if (editor) {
-          clearInterval(poll);
-          fillEditor(editor, notes);
-        } else if (attempts > 25) {
-          clearInterval(poll);
-          // Fallback: copy to clipboard so user can paste manually
-          navigator.clipboard.writeText(notes).catch(() => {});
+    return {
+      title,
+      url: articleUrl(),
+      author: meta.author || "",
+      publication: meta.publication || "",
+      subtitle: meta.subtitle || "",
+      date: meta.publishedAt?.slice(0, 10) || "",
+      today: new Date().toISOString().slice(0, 10),
+      tags,
+      quotes,
+      notes,
+    };
+  }
+
+  // Replaces {{placeholder}} tokens. Inside a leading YAML frontmatter block values are
+  // emitted as YAML scalars (tags as a flow list); in the body tags become #hashtags.
+  function renderTemplate(template, values) {
+    const fill = (text, yaml) =>
+      text.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, key) => {
+        if (!(key in values)) return token;
+        const value = values[key];
+        if (Array.isArray(value)) {
+          return yaml ? JSON.stringify(value) : value.map((v) => `#${v}`).join(" ");
         }
-      }, 200);
-    }, 800);
+        return yaml ? JSON.stringify(String(value)) : String(value);
+      });
+
+    const frontmatter = template.match(/^---\n[\s\S]*?\n---\n/);
+    if (!frontmatter) return fill(template, false);
+    return fill(frontmatter[0], true) + fill(template.slice(frontmatter[0].length), false);
   }
 
-  function findCommentEditor() {
-    // Substack uses ProseMirror/Tiptap with contenteditable
-    return (
-      document.querySelector('.comment-input-wrap [contenteditable="true"]') ||
-      document.querySelector('.tiptap[contenteditable="true"]') ||
-      document.querySelector('.ProseMirror[contenteditable="true"]') ||
-      document.querySelector('[data-testid="comment-input"] [contenteditable="true"]') ||
-      document.querySelector('.comments [contenteditable="true"]') ||
-      document.querySelector('.comments-page [contenteditable="true"]') ||
-      document.querySelector('.post-footer [contenteditable="true"]') ||
-      // Broad fallback: any contenteditable near the bottom of the page
-      Array.from(document.querySelectorAll('[contenteditable="true"]')).pop() ||
-      document.querySelector(".comments textarea")
-    );
+  // Strips characters Obsidian or the filesystem reject in note names
+  function sanitizeFilename(name) {
+    return name
+      .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+      .replace(/\s+/g, " ")
+      .replace(/^[.\s]+|[.\s]+$/g, "")
+      .slice(0, 120)
+      .trim();
+  }
+
+  // --- Reply composer ---
+  // Turns the notes into a comment: the reader picks which quoted passages to include,
+  // edits the text, sees a preview of exactly what will be posted, and chooses either a
+  // new comment or a reply to an existing one. Every outcome is reported in the panel.
+  const EDITOR_TIMEOUT = 5000;
+  let replyTargets = [];
+
+  function openReplyComposer() {
+    if (!notesPanelEl) return;
+    const textarea = ui.getElementById("mic-notes-textarea");
+    ui.getElementById("mic-reply-text").value = replyDraftFromNotes(textarea.value);
+    renderReplyQuotes();
+    loadReplyTargets();
+    setReplyStatus("");
+    notesPanelEl.classList.add("mic-replying");
+    updateReplyPreview();
+  }
+
+  function closeReplyComposer() {
+    notesPanelEl?.classList.remove("mic-replying");
+  }
+
+  function renderReplyQuotes() {
+    const list = ui.getElementById("mic-reply-quotes");
+    list.textContent = "";
+    for (const quote of noteQuotes) {
+      const row = document.createElement("label");
+      row.className = "mic-reply-quote";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.addEventListener("change", updateReplyPreview);
+      const text = document.createElement("span");
+      text.textContent = quote.text;
+      row.append(box, text);
+      list.appendChild(row);
+    }
   }
 
-  function fillEditor(el, text) {
-    el.focus();
-    if (el.tagName === "TEXTAREA") {
-      el.value = text;
-      el.dispatchEvent(new Event("input", { bubbles: true }));
+  // Existing comments on the page, offered as reply targets; returns their labels
+  function findReplyTargets() {
+    replyTargets = queryAll(adapter.selectors.comment).slice(0, 30);
+    return replyTargets.map((comment) => {
+      const author = queryText(adapter.selectors.commentAuthor, comment) || "comment";
+      const body = normalizeWhitespace(queryFirst(adapter.selectors.commentBody, comment)?.textContent || "");
+      const snippet = body.length > 60 ? `${body.slice(0, 60)}\u2026` : body;
+      return `Reply to ${author}${snippet ? `: ${snippet}` : ""}`;
+    });
+  }
+
+  function loadReplyTargets() {
+    const select = ui.getElementById("mic-reply-target");
+    const previous = select.value;
+    select.textContent = "";
+    select.add(new Option("New comment on the post", ""));
+    findReplyTargets().forEach((label, i) => select.add(new Option(label, String(i))));
+    if ([...select.options].some((o) => o.value === previous)) select.value = previous;
+  }
+
+  function composeReply() {
+    const boxes = ui.querySelectorAll("#mic-reply-quotes input[type=checkbox]");
+    const quotes = noteQuotes.filter((_, i) => boxes[i]?.checked).map((q) => q.text);
+    return replyParagraphs(quotes, ui.getElementById("mic-reply-text").value);
+  }
+
+  function updateReplyPreview() {
+    const preview = ui.getElementById("mic-reply-preview");
+    if (!preview) return;
+    preview.textContent = "";
+    for (const paragraph of composeReply()) {
+      const p = document.createElement("p");
+      p.textContent = paragraph;
+      preview.appendChild(p);
+    }
+  }
+
+  function setReplyStatus(text, kind = "") {
+    const status = ui.getElementById("mic-reply-status");
+    if (!status) return;
+    status.textContent = text;
+    status.className = `mic-reply-status${kind ? ` mic-reply-status-${kind}` : ""}`;
+  }
+
+  async function insertReply() {
+    const paragraphs = composeReply();
+    if (!paragraphs.length) {
+      setReplyStatus("Nothing to post yet \u2014 write a reply or pick a passage", "error");
+      return;
+    }
+    setReplyStatus("Looking for the comment box\u2026");
+    const target = ui.getElementById("mic-reply-target").value;
+    const { text, kind } = await postReply(paragraphs, target, copyText);
+    setReplyStatus(text, kind);
+  }
+
+  // Puts the reply into the page's comment box, falling back to `copy` (the clipboard).
+  // The side panel composer calls this too, passing its own `copy`.
+  async function postReply(paragraphs, targetIndex, copy) {
+    const target = replyTargets[targetIndex] || null;
+    const { found, editor } = await openCommentEditor(target);
+    if (editor && insertIntoEditor(editor, paragraphs)) {
+      recordEngagement("replied");
+      return { text: "Inserted into comment box", kind: "ok" };
+    }
+
+    const copied = await copy(paragraphs.join("\n\n"));
+    if (!found) {
+      return {
+        text: copied ? "Comment section not found \u2014 copied to clipboard" : "Comment section not found",
+        kind: "error",
+      };
+    }
+    return copied
+      ? { text: "Copied to clipboard \u2014 paste manually", kind: "" }
+      : { text: "Couldn't reach the comment box or the clipboard", kind: "error" };
+  }
+
+  async function copyReply() {
+    const paragraphs = composeReply();
+    if (!paragraphs.length) return;
+    const copied = await copyText(paragraphs.join("\n\n"));
+    setReplyStatus(copied ? "Copied to clipboard" : "Couldn't copy to the clipboard", copied ? "ok" : "error");
+  }
+
+  // Scrolls to the comment (or the comment section), opens its editor and waits for it.
+  // `found` is false when there's nowhere to comment on this page at all.
+  async function openCommentEditor(target) {
+    const scope = target || queryFirst(adapter.selectors.commentSection);
+    if (!scope) return { found: false, editor: null };
+    scope.scrollIntoView({ behavior: "smooth", block: target ? "center" : "start" });
+
+    let editor = findCommentEditor(scope);
+    if (editor) return { found: true, editor };
+
+    const button = target
+      ? queryFirst(adapter.selectors.commentReplyButton, target) ||
+        findButtonByText(target, adapter.selectors.commentReplyText)
+      : queryFirst(adapter.selectors.commentButton, scope) ||
+        findButtonByText(scope, adapter.selectors.commentButtonText);
+    button?.click();
+
+    editor = await waitFor(() => findCommentEditor(scope), EDITOR_TIMEOUT);
+    return { found: true, editor };
+  }
+
+  // An editor inside the scope, or one the page focused after we clicked its button.
+  // Reply boxes often render next to the comment rather than inside it.
+  function findCommentEditor(scope) {
+    const inScope = queryFirst(adapter.selectors.commentEditor, scope);
+    if (inScope) return inScope;
+    const active = document.activeElement;
+    const editable = active && (active.isContentEditable || active.tagName === "TEXTAREA");
+    const section = queryFirst(adapter.selectors.commentSection);
+    return editable && section?.contains(active) ? active : null;
+  }
+
+  function findButtonByText(root, pattern) {
+    return Array.from(root.querySelectorAll("button")).find((b) => pattern.test(b.textContent)) || null;
+  }
+
+  // Resolves with the first truthy result of `check`, re-run on DOM changes, or null
+  function waitFor(check, timeout) {
+    return new Promise((resolve) => {
+      const observer = new MutationObserver(() => {
+        const result = check();
+        if (result) finish(result);
+      });
+      const timer = setTimeout(() => finish(null), timeout);
+      function finish(result) {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(result);
+      }
+      observer.observe(document.body, { childList: true, subtree: true, attributes: true });
+    });
+  }
+
+  // Inserts the reply the way a paste would, which textareas, React inputs and
+  // ProseMirror/Tiptap editors all handle. Returns whether the text actually landed.
+  function insertIntoEditor(editor, paragraphs) {
+    const text = paragraphs.join("\n\n");
+    editor.focus();
+    if (editor.tagName === "TEXTAREA") {
+      // Go through the native setter so React-controlled textareas see the change
+      const setValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set;
+      setValue.call(editor, editor.value.trim() ? `${editor.value}\n\n${text}` : text);
+      editor.dispatchEvent(new Event("input", { bubbles: true }));
     } else {
-      // ProseMirror/Tiptap: insert via execCommand so the editor registers the change
-      document.execCommand("insertText", false, text);
+      const data = new DataTransfer();
+      data.setData("text/plain", text);
+      data.setData("text/html", paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join(""));
+      editor.dispatchEvent(new ClipboardEvent("paste", { clipboardData: data, bubbles: true, cancelable: true }));
+    }
+    const landed = normalizeWhitespace(editor.tagName === "TEXTAREA" ? editor.value : editor.textContent);
+    return landed.includes(normalizeWhitespace(paragraphs[paragraphs.length - 1]).slice(0, 80));
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      return false;
     }
   }
 
   async function shareArticle() {
-    const shareBtn = document.getElementById("mic-share");
+    const shareBtn = ui.getElementById("mic-share");
     try {
       await navigator.clipboard.writeText(articleUrl());
+      recordEngagement("shared");
       shareBtn.textContent = "Copied!";
       setTimeout(() => removeToast(), 1200);
     } catch {
@@ -243,13 +1296,84 @@
   async function dismissToast() {
     removeToast();
     toastShowing = false;
-    await msg({ type: "toastDismissed" });
+    await msg({ type: "toastDismissed", ...publicationContext() });
+  }
+
+  async function snoozeToast() {
+    removeToast();
+    toastShowing = false;
+    await msg({ type: "toastSnoozed", ...publicationContext() });
+  }
+
+  // --- Keyboard shortcuts (chrome.commands, routed here by background) ---
+  async function runCommand(command, message) {
+    if (command === "toggle-notes") {
+      if (notesPanelEl) closeNotesPanel();
+      else showNotes();
+    } else if (command === "quote-selection") {
+      if (!selectedArticleRange()) showFlash("Select a passage in the post to quote it");
+      else quoteSelection();
+    } else if (command === "dismiss-toast") {
+      if (toastShowing) dismissToast();
+    } else if (command === "snooze-toast") {
+      if (toastShowing) snoozeToast();
+    } else if (command === "copy-share-link") {
+      const copied = await copyText(articleUrl());
+      if (copied && !currentSurface()) recordEngagement("shared");
+      showFlash(copied ? "Link copied" : "Couldn't copy the link");
+    } else if (command === "pause-tracking") {
+      showFlash(message.enabled ? "Tracking resumed" : "Tracking paused");
+    }
+  }
+
+  // Brief confirmation for actions that have no other visible result
+  let flashEl = null;
+  let flashTimer = null;
+
+  function showFlash(text) {
+    if (!flashEl) {
+      flashEl = document.createElement("div");
+      flashEl.id = "mic-flash";
+      ui.appendChild(flashEl);
+    }
+    flashEl.textContent = text;
+    uiReady.then(() => requestAnimationFrame(() => flashEl.classList.add("mic-visible")));
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(() => flashEl.classList.remove("mic-visible"), 1800);
+  }
+
+  // Runs an exporter on the side panel's copy of the note. Clipboard text and app links
+  // come back in the response for the side panel to act on.
+  async function runExporterFor({ id, title, notes, quotes }) {
+    const exporter = EXPORTERS[id];
+    if (!exporter) return { result: "Failed" };
+    if (!notesPanelEl) noteQuotes = quotes || [];
+    const handoff = {};
+    const output = {
+      copy: async (text) => {
+        handoff.clipboard = text;
+      },
+      open: (uri) => {
+        handoff.open = uri;
+      },
+    };
+    try {
+      const result = await exporter.run(title, notes, output);
+      return { result, ...handoff };
+    } catch {
+      return { result: "Failed" };
+    }
+  }
+
+  // Lets background apply this publication's rule; feeds and other surfaces have none
+  function publicationContext() {
+    return currentSurface() ? {} : { url: articleUrl(), article: historyArticle() };
   }
 
   // --- Message handling from background ---
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     if (message.type === "showToast") {
-      showToast(message.time);
+      showToast(message.time, message.nudgeStage);
       return;
     }
     if (message.type === "openNotes") {
@@ -265,22 +1389,264 @@
     if (message.type === "queryTime") {
       // Popup queries — ask background for session time
       chrome.runtime.sendMessage({ type: "getSessionTime" }, (data) => {
-        sendResponse({ time: data?.time || 0, url: articleUrl() });
+        const surface = currentSurface();
+        sendResponse({
+          time: data?.time || 0,
+          listening: data?.listeningTime || 0,
+          url: articleUrl(),
+          surface: surface && { label: surface.label, time: data?.surfaceTime?.[surface.id] || 0 },
+          progress: surface ? null : { depth: maxDepth, completed },
+          article: surface ? null : historyArticle(),
+        });
       });
       return true;
     }
     if (message.type === "updateEnabled") {
       enabled = message.enabled;
-      if (!enabled) removeToast();
+      if (!enabled) {
+        removeToast();
+        removeInterstitial();
+      }
+      return;
+    }
+    if (message.type === "command") {
+      runCommand(message.command, message);
+      return;
+    }
+    if (message.type === "sidePanelClosed") {
+      // Over budget, notes in the side panel kept the interstitial away until now
+      notesOverBudget = false;
+      return;
+    }
+
+    // --- Side panel requests (see sidepanel.js) ---
+    if (message.type === "notesContext") {
+      sendResponse(
+        currentSurface()
+          ? { url: articleUrl(), surface: true }
+          : {
+              url: articleUrl(),
+              title: articleTitle(),
+              meta: articleMetadata(),
+              media: pageMedia().length > 0,
+              surface: false,
+            }
+      );
+      return;
+    }
+    if (message.type === "mediaTimestamp") {
+      sendResponse({ stamp: mediaTimestamp() });
+      return;
+    }
+    if (message.type === "scrollToQuote") {
+      sendResponse({ found: scrollToQuote(message.quote) });
+      return;
+    }
+    if (message.type === "getReplyTargets") {
+      sendResponse({ targets: findReplyTargets() });
+      return;
+    }
+    // Clipboard text is handed back for the side panel to write, as it has the focus
+    if (message.type === "postReply") {
+      let clipboard = null;
+      const handoff = async (text) => {
+        clipboard = text;
+        return true;
+      };
+      postReply(message.paragraphs, message.target, handoff).then((status) =>
+        sendResponse({ ...status, clipboard })
+      );
+      return true;
+    }
+    if (message.type === "runExporter") {
+      runExporterFor(message).then(sendResponse);
+      return true;
+    }
+    if (message.type === "budgetExhausted") {
+      showInterstitial();
+      return;
+    }
+    if (message.type === "budgetExtended") {
+      removeInterstitial();
       return;
     }
   });
 
+  // --- Article metadata ---
+  // Merges Substack's preloaded post data, JSON-LD and meta tags. Custom-domain
+  // publications vary in which of these they ship, so each field falls through the
+  // sources in order of reliability. Cached per URL since the post doesn't change.
+  const WORDS_PER_MINUTE = 238;
+  let metadataCache = null;
+
+  function articleMetadata() {
+    const url = articleUrl();
+    if (metadataCache?.url === url) return metadataCache.meta;
+
+    const preloads = readPreloads();
+    const post = preloads?.post || {};
+    const pub = preloads?.pub || {};
+    const ld = readJsonLd();
+    const meta = (selector) => document.querySelector(selector)?.getAttribute("content")?.trim() || null;
+
+    const ldAuthor = [].concat(ld.author || []).map((a) => a?.name || a).filter(Boolean);
+    const bylines = (post.publishedBylines || []).map((b) => b.name).filter(Boolean);
+    const authors = bylines.length ? bylines : ldAuthor;
+
+    const wordCount = post.wordcount || ld.wordCount || countWords(articleBody());
+
+    const result = {
+      title:
+        post.title ||
+        ld.headline ||
+        queryText(adapter.selectors.title) ||
+        meta('meta[property="og:title"]') ||
+        document.querySelector("h1")?.textContent?.trim() ||
+        document.title,
+      subtitle:
+        post.subtitle ||
+        queryText(adapter.selectors.subtitle) ||
+        ld.description ||
+        meta('meta[property="og:description"]'),
+      author: authors.join(", ") || queryText(adapter.selectors.author) || meta('meta[name="author"]'),
+      publication:
+        pub.name ||
+        ld.publisher?.name ||
+        meta('meta[property="og:site_name"]') ||
+        location.hostname,
+      publicationId: pub.id ? String(pub.id) : null,
+      publishedAt: toIsoDate(
+        post.post_date ||
+        ld.datePublished ||
+        meta('meta[property="article:published_time"]') ||
+        document.querySelector("time[datetime]")?.getAttribute("datetime")
+      ),
+      canonicalUrl:
+        post.canonical_url ||
+        document.querySelector('link[rel="canonical"]')?.href ||
+        ld.url ||
+        url,
+      wordCount,
+      readingMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+    };
+
+    metadataCache = { url, meta: result };
+    return result;
+  }
+
+  // The subset of metadata the reading history keeps per article
+  function historyArticle() {
+    const { title, author, publication, publicationId } = articleMetadata();
+    return { title, author, publication, publicationId };
+  }
+
+  function recordEngagement(kind) {
+    return msg({ type: "engagement", url: articleUrl(), kind, article: historyArticle() });
+  }
+
+  // window._preloads lives in the page's JS world, which content scripts can't see.
+  // Substack inlines it as `window._preloads = JSON.parse("...")`, so parse that instead.
+  function readPreloads() {
+    for (const script of document.querySelectorAll("script:not([src])")) {
+      const text = script.textContent;
+      if (!text.includes("window._preloads")) continue;
+      try {
+        const match = text.match(/window\._preloads\s*=\s*JSON\.parse\(("(?:[^"\\]|\\.)*")\)/);
+        if (match) return JSON.parse(JSON.parse(match[1]));
+      } catch {}
+    }
+    return null;
+  }
+
+  function readJsonLd() {
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = [].concat(data["@graph"] || data);
+        const article = items.find((item) => /Article|BlogPosting/.test([].concat(item?.["@type"]).join(" ")));
+        if (article) return article;
+      } catch {}
+    }
+    return {};
+  }
+
+  function countWords(el) {
+    return (el.innerText || el.textContent || "").split(/\s+/).filter(Boolean).length;
+  }
+
+  function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+  }
+
   // --- Helpers ---
   function articleUrl() {
     return location.origin + location.pathname;
   }
 
+  // The adapter surface (feed, Notes, chat) for the current URL, or null on an article.
+  // Checked live because the Substack reader app navigates without reloading.
+  function currentSurface() {
+    return adapter.surfaces?.find((s) => s.match(location)) || null;
+  }
+
+  function formatDuration(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    if (minutes < 1) return `${totalSeconds} seconds`;
+    return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+  }
+
+  // Player position as m:ss, or h:mm:ss past the hour
+  function formatClock(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, "0");
+    return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
+  function articleTitle() {
+    return articleMetadata().title;
+  }
+
+  function articleBody() {
+    return (
+      queryFirst(adapter.selectors.body) ||
+      document.querySelector("article") ||
+      document.body
+    );
+  }
+
+  function queryFirst(selectors, root = document) {
+    for (const selector of selectors) {
+      const el = root.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  // All matches of the first selector that matches anything
+  function queryAll(selectors, root = document) {
+    for (const selector of selectors) {
+      const els = root.querySelectorAll(selector);
+      if (els.length) return Array.from(els);
+    }
+    return [];
+  }
+
+  function queryText(selectors, root = document) {
+    return queryFirst(selectors, root)?.textContent?.trim() || null;
+  }
+
+  function normalizeWhitespace(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+
+  function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+  }
+
   function msg(data) {
     return new Promise((resolve) =>
       chrome.runtime.sendMessage(data, (resp) => resolve(resp || {}))
@@ -0,0 +1,205 @@
+// Reading history dashboard — reads the readingHistory store kept by background.js
+
+const CHART_DAYS = 14;
+const SUMMARY_DAYS = 30;
+const TOP_PUBLICATIONS = 10;
+const RECENT_SESSIONS = 10;
+const { dayKey } = self.MIC_SHARED;
+
+chrome.storage.local.get({ readingHistory: {}, surfaceHistory: {}, sessionArchive: [] }, (data) => {
+  const articles = Object.values(data.readingHistory);
+  renderSummary(articles);
+  renderDayChart(articles);
+  renderRatio(articles);
+  renderSurfaces(data.surfaceHistory);
+  renderSessions(data.sessionArchive);
+  renderPublications(articles);
+});
+
+// --- Sections ---
+function renderSummary(articles) {
+  const since = dayKey(daysAgo(SUMMARY_DAYS - 1));
+  let seconds = 0;
+  let engagedSeconds = 0;
+  let listenedSeconds = 0;
+  let count = 0;
+
+  for (const article of articles) {
+    const recent = sumDays(article.days, (day) => day >= since);
+    const listened = sumDays(article.listenedDays, (day) => day >= since);
+    if (!recent && !listened) continue;
+    count++;
+    seconds += recent;
+    listenedSeconds += listened;
+    if (isEngaged(article)) engagedSeconds += recent;
+  }
+
+  document.getElementById("stat-time").textContent = formatDuration(seconds);
+  document.getElementById("stat-listening").textContent = formatDuration(listenedSeconds);
+  document.getElementById("stat-articles").textContent = count;
+  document.getElementById("stat-engaged").textContent =
+    seconds ? `${Math.round((engagedSeconds / seconds) * 100)}%` : "--";
+}
+
+function renderDayChart(articles) {
+  const chart = document.getElementById("day-chart");
+  const labels = document.getElementById("day-labels");
+  const days = [];
+  for (let i = CHART_DAYS - 1; i >= 0; i--) {
+    const date = daysAgo(i);
+    const key = dayKey(date);
+    const seconds = articles.reduce((sum, a) => sum + (a.days?.[key] || 0), 0);
+    days.push({ date, seconds });
+  }
+
+  const max = Math.max(...days.map((d) => d.seconds), 1);
+  for (const { date, seconds } of days) {
+    const col = document.createElement("div");
+    col.className = "bar-col";
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    bar.style.height = `${(seconds / max) * 100}%`;
+    bar.title = `${date.toLocaleDateString()}: ${formatDuration(seconds)}`;
+    col.appendChild(bar);
+    chart.appendChild(col);
+
+    const label = document.createElement("div");
+    label.className = "bar-label";
+    label.textContent = date.toLocaleDateString(undefined, { weekday: "narrow" });
+    labels.appendChild(label);
+  }
+}
+
+function renderRatio(articles) {
+  let engaged = 0;
+  let total = 0;
+  for (const article of articles) {
+    total += article.seconds;
+    if (isEngaged(article)) engaged += article.seconds;
+  }
+
+  const pct = total ? Math.round((engaged / total) * 100) : 0;
+  document.getElementById("ratio-engaged").style.width = `${pct}%`;
+  document.getElementById("ratio-legend").textContent = total
+    ? `${formatDuration(engaged)} engaged (notes, shares or replies) · ${formatDuration(total - engaged)} passive`
+    : "No reading recorded yet.";
+}
+
+function renderSurfaces(surfaceHistory) {
+  const since = dayKey(daysAgo(SUMMARY_DAYS - 1));
+  const totals = {};
+  for (const [day, surfaces] of Object.entries(surfaceHistory)) {
+    if (day < since) continue;
+    for (const [id, seconds] of Object.entries(surfaces)) {
+      totals[id] = (totals[id] || 0) + seconds;
+    }
+  }
+
+  const labels = {};
+  for (const adapter of self.MIC_ADAPTERS) {
+    for (const surface of adapter.surfaces || []) labels[surface.id] = `${adapter.name} ${surface.label}`;
+  }
+
+  const tbody = document.getElementById("surfaces");
+  const rows = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  for (const [id, seconds] of rows) {
+    const row = document.createElement("tr");
+    const name = document.createElement("td");
+    name.textContent = labels[id] || id;
+    const time = document.createElement("td");
+    time.className = "num";
+    time.textContent = formatDuration(seconds);
+    row.append(name, time);
+    tbody.appendChild(row);
+  }
+  document.getElementById("surfaces-empty").hidden = rows.length > 0;
+}
+
+function renderSessions(sessionArchive) {
+  const tbody = document.getElementById("sessions");
+  const recent = sessionArchive.slice(-RECENT_SESSIONS).reverse();
+  const when = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" };
+  for (const session of recent) {
+    const row = document.createElement("tr");
+    const cells = [
+      [new Date(session.startedAt).toLocaleString(undefined, when), ""],
+      [new Date(session.endedAt).toLocaleString(undefined, when), ""],
+      [session.articles.length, "num"],
+      [formatDuration(session.seconds), "num"],
+      [session.listening ? formatDuration(session.listening) : "--", "num"],
+    ];
+    for (const [value, cls] of cells) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (cls) td.className = cls;
+      row.appendChild(td);
+    }
+    row.title = session.articles.map((a) => a.title).join("\n");
+    tbody.appendChild(row);
+  }
+  document.getElementById("sessions-empty").hidden = recent.length > 0;
+}
+
+function renderPublications(articles) {
+  const byPub = new Map();
+  for (const article of articles) {
+    const name = article.publication || hostname(article.url);
+    const pub = byPub.get(name) || { name, seconds: 0, articles: 0 };
+    pub.seconds += article.seconds;
+    pub.articles++;
+    byPub.set(name, pub);
+  }
+
+  const top = [...byPub.values()]
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, TOP_PUBLICATIONS);
+
+  const tbody = document.getElementById("publications");
+  for (const pub of top) {
+    const row = document.createElement("tr");
+    for (const [value, cls] of [[pub.name, ""], [pub.articles, "num"], [formatDuration(pub.seconds), "num"]]) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (cls) td.className = cls;
+      row.appendChild(td);
+    }
+    tbody.appendChild(row);
+  }
+  document.getElementById("publications-empty").hidden = top.length > 0;
+}
+
+// --- Helpers ---
+function isEngaged(article) {
+  const { notes, shared, replied } = article.engagement || {};
+  return notes || shared || replied;
+}
+
+function sumDays(days, include) {
+  return Object.entries(days || {})
+    .filter(([day]) => include(day))
+    .reduce((sum, [, seconds]) => sum + seconds, 0);
+}
+
+function daysAgo(n) {
+  const date = new Date();
+  date.setDate(date.getDate() - n);
+  return date;
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+function formatDuration(seconds) {
+  // Activity is accounted in milliseconds, so stored totals can be fractional
+  const totalSeconds = Math.round(seconds);
+  const hours = Math.floor(totalSeconds / 3600);
+  const min = Math.floor((totalSeconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${min}m`;
+  if (min > 0) return `${min}m`;
+  return `${totalSeconds}s`;
+}
@@ -0,0 +1,368 @@
+// Settings page — each section reads and writes its own chrome.storage.local key
+
+// --- Sessions ---
+const sessionMode = document.getElementById("session-mode");
+const sessionIdle = document.getElementById("session-idle");
+const sessionWindow = document.getElementById("session-window");
+
+chrome.storage.local.get(
+  { sessionMode: "idle", sessionIdleMinutes: 30, rollingWindowMinutes: 60 },
+  (settings) => {
+    sessionMode.value = settings.sessionMode;
+    sessionIdle.value = settings.sessionIdleMinutes;
+    sessionWindow.value = settings.rollingWindowMinutes;
+    updateSessionFields();
+  }
+);
+
+for (const el of [sessionMode, sessionIdle, sessionWindow]) {
+  el.addEventListener("change", () => {
+    updateSessionFields();
+    chrome.storage.local.set({
+      sessionMode: sessionMode.value,
+      sessionIdleMinutes: clampNumber(sessionIdle, 30),
+      rollingWindowMinutes: clampNumber(sessionWindow, 60),
+    });
+  });
+}
+
+function updateSessionFields() {
+  sessionIdle.disabled = sessionMode.value === "daily";
+  sessionWindow.disabled = sessionMode.value !== "rolling";
+}
+
+// --- Quiet hours & daily budget ---
+const quietList = document.getElementById("quiet-hours");
+const quietDays = document.getElementById("quiet-days");
+const quietStart = document.getElementById("quiet-start");
+const quietEnd = document.getElementById("quiet-end");
+const dailyBudget = document.getElementById("daily-budget");
+const DAY_LABELS = { "0,1,2,3,4,5,6": "Every day", "1,2,3,4,5": "Weekdays", "0,6": "Weekends" };
+
+chrome.storage.local.get({ quietHours: [], dailyBudgetMinutes: 0 }, (settings) => {
+  renderQuietHours(settings.quietHours);
+  dailyBudget.value = settings.dailyBudgetMinutes;
+});
+
+function renderQuietHours(quietHours) {
+  quietList.textContent = "";
+  quietHours.forEach((quiet, i) => {
+    const row = document.createElement("div");
+    row.className = "site-row";
+    const label = document.createElement("span");
+    const days = DAY_LABELS[quiet.days.join(",")] || `${quiet.days.length} days`;
+    label.textContent = `${days}, ${quiet.start}\u2013${quiet.end}`;
+
+    const remove = document.createElement("button");
+    remove.className = "remove-btn";
+    remove.textContent = "\u00d7";
+    remove.title = "Remove";
+    remove.addEventListener("click", () => {
+      quietHours.splice(i, 1);
+      chrome.storage.local.set({ quietHours }, () => renderQuietHours(quietHours));
+    });
+
+    row.append(label, remove);
+    quietList.appendChild(row);
+  });
+  document.getElementById("quiet-hours-empty").hidden = quietHours.length > 0;
+}
+
+document.getElementById("quiet-add").addEventListener("click", () => {
+  if (!quietStart.value || !quietEnd.value || quietStart.value === quietEnd.value) return;
+  chrome.storage.local.get({ quietHours: [] }, ({ quietHours }) => {
+    quietHours.push({
+      days: quietDays.value.split(",").map(Number),
+      start: quietStart.value,
+      end: quietEnd.value,
+    });
+    chrome.storage.local.set({ quietHours }, () => renderQuietHours(quietHours));
+  });
+});
+
+dailyBudget.addEventListener("change", () => {
+  chrome.storage.local.set({ dailyBudgetMinutes: clampNumber(dailyBudget, 0) });
+});
+
+// --- Platforms ---
+const platformList = document.getElementById("platforms");
+
+chrome.storage.local.get({ enabledPlatforms: ["substack"] }, ({ enabledPlatforms }) => {
+  for (const adapter of self.MIC_ADAPTERS) {
+    const row = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = adapter.id;
+    box.checked = enabledPlatforms.includes(adapter.id);
+    box.addEventListener("change", savePlatforms);
+    row.append(box, adapter.name);
+    platformList.appendChild(row);
+  }
+});
+
+function savePlatforms() {
+  const boxes = platformList.querySelectorAll("input[type=checkbox]");
+  const enabledPlatforms = [...boxes].filter((b) => b.checked).map((b) => b.value);
+  chrome.storage.local.set({ enabledPlatforms });
+}
+
+// --- Sites: always/never rules per hostname ---
+// Changes go through background.js so open tabs on that host update immediately.
+const siteList = document.getElementById("sites");
+const siteHostInput = document.getElementById("site-host");
+const siteRuleSelect = document.getElementById("site-rule");
+const sitesStatus = document.getElementById("sites-status");
+
+loadSiteRules();
+
+function loadSiteRules() {
+  chrome.storage.local.get({ siteRules: {} }, ({ siteRules }) => renderSiteRules(siteRules));
+}
+
+function renderSiteRules(siteRules) {
+  siteList.textContent = "";
+  const hosts = Object.keys(siteRules).sort();
+  for (const hostname of hosts) {
+    const row = document.createElement("div");
+    row.className = "site-row";
+    const name = document.createElement("span");
+    name.textContent = hostname;
+
+    const select = document.createElement("select");
+    for (const [value, text] of [["always", "Always track"], ["never", "Never track"]]) {
+      select.add(new Option(text, value, false, siteRules[hostname] === value));
+    }
+    select.addEventListener("change", () => setSiteRule(hostname, select.value));
+
+    const remove = document.createElement("button");
+    remove.className = "remove-btn";
+    remove.textContent = "\u00d7";
+    remove.title = "Remove rule";
+    remove.addEventListener("click", () => setSiteRule(hostname, null));
+
+    row.append(name, select, remove);
+    siteList.appendChild(row);
+  }
+  document.getElementById("sites-empty").hidden = hosts.length > 0;
+}
+
+function setSiteRule(hostname, rule) {
+  chrome.runtime.sendMessage({ type: "setSiteRule", hostname, rule }, loadSiteRules);
+}
+
+document.getElementById("site-add").addEventListener("click", () => {
+  let hostname = siteHostInput.value.trim().toLowerCase();
+  if (!hostname) return;
+  // Accept a pasted URL as well as a bare hostname
+  try {
+    hostname = new URL(hostname.includes("://") ? hostname : `https://${hostname}`).hostname;
+  } catch {
+    flashStatus(sitesStatus, "Not a valid hostname");
+    return;
+  }
+  siteHostInput.value = "";
+  setSiteRule(hostname, siteRuleSelect.value);
+});
+
+document.getElementById("detection-clear").addEventListener("click", () => {
+  chrome.storage.local.set({ detectionCache: {} }, () => flashStatus(sitesStatus, "Cleared"));
+});
+
+// --- Reflection prompts ---
+const promptList = document.getElementById("prompts");
+const promptText = document.getElementById("prompt-text");
+const promptCategory = document.getElementById("prompt-category");
+const CATEGORY_LABELS = { generation: "Restate", interrogation: "Question", testing: "Recall" };
+
+loadPrompts();
+
+function loadPrompts() {
+  chrome.runtime.sendMessage({ type: "getPrompts" }, ({ prompts }) => renderPrompts(prompts));
+}
+
+function renderPrompts(prompts) {
+  promptList.textContent = "";
+  for (const prompt of prompts) {
+    const row = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = prompt.enabled;
+    box.addEventListener("change", () => setPromptEnabled(prompt.id, box.checked));
+    const category = document.createElement("span");
+    category.className = "prompt-category";
+    category.textContent = CATEGORY_LABELS[prompt.category] || prompt.category;
+    row.append(box, prompt.text, category);
+
+    if (prompt.custom) {
+      const remove = document.createElement("button");
+      remove.className = "remove-btn";
+      remove.textContent = "\u00d7";
+      remove.title = "Delete prompt";
+      remove.addEventListener("click", (e) => {
+        e.preventDefault();
+        removeCustomPrompt(prompt.id);
+      });
+      row.appendChild(remove);
+    }
+    promptList.appendChild(row);
+  }
+}
+
+function setPromptEnabled(id, on) {
+  chrome.storage.local.get({ disabledPrompts: [] }, ({ disabledPrompts }) => {
+    const list = disabledPrompts.filter((p) => p !== id);
+    if (!on) list.push(id);
+    chrome.storage.local.set({ disabledPrompts: list });
+  });
+}
+
+function removeCustomPrompt(id) {
+  chrome.storage.local.get({ customPrompts: [], disabledPrompts: [] }, (data) => {
+    chrome.storage.local.set(
+      {
+        customPrompts: data.customPrompts.filter((p) => p.id !== id),
+        disabledPrompts: data.disabledPrompts.filter((p) => p !== id),
+      },
+      loadPrompts
+    );
+  });
+}
+
+document.getElementById("prompt-add").addEventListener("click", () => {
+  const text = promptText.value.trim();
+  if (!text) return;
+  chrome.storage.local.get({ customPrompts: [] }, ({ customPrompts }) => {
+    customPrompts.push({ id: `custom-${Date.now()}`, category: promptCategory.value, text });
+    chrome.storage.local.set({ customPrompts }, () => {
+      promptText.value = "";
+      loadPrompts();
+    });
+  });
+});
+
+// --- Notes panel ---
+const notesMode = document.getElementById("notes-mode");
+
+chrome.storage.local.get({ notesMode: "page" }, (settings) => (notesMode.value = settings.notesMode));
+notesMode.addEventListener("change", () => chrome.storage.local.set({ notesMode: notesMode.value }));
+
+// --- Export buttons ---
+const exporterBoxes = document.querySelectorAll("#exporters input[type=checkbox]");
+
+chrome.runtime.sendMessage({ type: "getSettings" }, ({ exporters }) => {
+  exporterBoxes.forEach((box) => (box.checked = exporters.includes(box.value)));
+});
+
+exporterBoxes.forEach((box) =>
+  box.addEventListener("change", () => {
+    const enabledExporters = [...exporterBoxes].filter((b) => b.checked).map((b) => b.value);
+    chrome.storage.local.set({ enabledExporters });
+  })
+);
+
+// --- Obsidian export ---
+const obsidianFields = {
+  vault: document.getElementById("obsidian-vault"),
+  folder: document.getElementById("obsidian-folder"),
+  filename: document.getElementById("obsidian-filename"),
+  onExisting: document.getElementById("obsidian-existing"),
+  tags: document.getElementById("obsidian-tags"),
+  template: document.getElementById("obsidian-template"),
+};
+const obsidianStatus = document.getElementById("obsidian-status");
+
+chrome.runtime.sendMessage({ type: "getObsidianSettings" }, fillObsidianFields);
+
+for (const el of Object.values(obsidianFields)) {
+  el.addEventListener("change", saveObsidianSettings);
+}
+
+document.getElementById("obsidian-reset").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "getObsidianSettings", defaults: true }, (defaults) => {
+    obsidianFields.template.value = defaults.template;
+    saveObsidianSettings();
+  });
+});
+
+function fillObsidianFields(settings) {
+  for (const [key, el] of Object.entries(obsidianFields)) {
+    el.value = settings[key];
+  }
+}
+
+function saveObsidianSettings() {
+  const obsidianSettings = {};
+  for (const [key, el] of Object.entries(obsidianFields)) {
+    obsidianSettings[key] = key === "template" ? el.value : el.value.trim();
+  }
+  chrome.storage.local.set({ obsidianSettings }, () => flashStatus(obsidianStatus, "Saved"));
+}
+
+// --- Backup & sync ---
+// The backup format, merging and syncing live in background.js
+const syncSettings = document.getElementById("sync-settings");
+const importMode = document.getElementById("import-mode");
+const backupFile = document.getElementById("backup-file");
+const backupStatus = document.getElementById("backup-status");
+
+chrome.storage.local.get({ syncSettings: false }, (settings) => (syncSettings.checked = settings.syncSettings));
+syncSettings.addEventListener("change", () => chrome.storage.local.set({ syncSettings: syncSettings.checked }));
+
+document.getElementById("backup-export").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "exportBackup" }, ({ backup }) => {
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `make-it-count-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    flashStatus(backupStatus, "Exported");
+  });
+});
+
+document.getElementById("backup-import").addEventListener("click", () => backupFile.click());
+
+backupFile.addEventListener("change", async () => {
+  const file = backupFile.files[0];
+  backupFile.value = "";
+  if (!file) return;
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    flashStatus(backupStatus, "Not a valid backup file");
+    return;
+  }
+  const mode = importMode.value;
+  if (mode === "replace" && !confirm("Replace all settings, notes and history in this browser with this backup?")) {
+    return;
+  }
+  chrome.runtime.sendMessage({ type: "importBackup", backup, mode }, ({ imported, error }) => {
+    if (error) {
+      flashStatus(backupStatus, error);
+      return;
+    }
+    alert(`Imported ${imported.notes} notes and ${imported.articles} articles.`);
+    // Every section above may have changed
+    location.reload();
+  });
+});
+
+// --- Helpers ---
+// Reads a number input, clamping to its min/max and falling back when empty
+function clampNumber(input, fallback) {
+  const value = parseInt(input.value, 10);
+  if (isNaN(value)) {
+    input.value = fallback;
+    return fallback;
+  }
+  const clamped = Math.min(Math.max(value, Number(input.min)), Number(input.max));
+  input.value = clamped;
+  return clamped;
+}
+
+function flashStatus(el, text) {
+  el.textContent = text;
+  clearTimeout(el._timer);
+  el._timer = setTimeout(() => (el.textContent = ""), 1500);
+}
@@ -3,20 +3,59 @@ const label = document.getElementById("threshold-label");
 const enabledToggle = document.getElementById("enabled-toggle");
 const resetBtn = document.getElementById("reset-btn");
 const notesBtn = document.getElementById("notes-btn");
+const historyBtn = document.getElementById("history-btn");
+const reviewBtn = document.getElementById("review-btn");
+const searchBtn = document.getElementById("search-btn");
+const settingsBtn = document.getElementById("settings-btn");
 const currentTimeEl = document.getElementById("current-time");
 const statusNote = document.getElementById("status-note");
+const progressEl = document.getElementById("progress");
+const progressFill = document.getElementById("progress-fill");
+const progressNote = document.getElementById("progress-note");
 const presetBtns = document.querySelectorAll(".preset-btn");
+const scheduleEl = document.getElementById("schedule");
+const articleEndToggle = document.getElementById("article-end-toggle");
+const badgeToggle = document.getElementById("badge-toggle");
+const siteSection = document.getElementById("site-section");
+const siteHost = document.getElementById("site-host");
+const siteAlwaysBtn = document.getElementById("site-always");
+const siteNeverBtn = document.getElementById("site-never");
+const publicationSection = document.getElementById("publication-section");
+const publicationName = document.getElementById("publication-name");
+const publicationMuted = document.getElementById("publication-muted");
+const publicationThreshold = document.getElementById("publication-threshold");
+const publicationPrompt = document.getElementById("publication-prompt");
+
+const MAX_THRESHOLD = 3600;
 
 let currentArticleUrl = null;
 let activeTabId = null;
+let activeWindowId = null;
+let notesMode = "page";
+
+// Nudge thresholds in seconds; the slider edits the selected one
+let schedule = [900];
+let selectedIndex = 0;
 
 // --- Init ---
-chrome.storage.local.get({ threshold: 900, enabled: true }, (settings) => {
-  slider.value = settings.threshold;
-  enabledToggle.checked = settings.enabled;
-  updateLabel(settings.threshold);
-  updatePresetHighlight(settings.threshold);
-});
+chrome.storage.local.get(
+  {
+    nudgeSchedule: null,
+    threshold: 900,
+    enabled: true,
+    nudgeAtArticleEnd: false,
+    showBadge: true,
+    notesMode: "page",
+  },
+  (settings) => {
+    notesMode = settings.notesMode;
+    schedule = settings.nudgeSchedule?.length ? settings.nudgeSchedule : [settings.threshold];
+    enabledToggle.checked = settings.enabled;
+    badgeToggle.checked = settings.showBadge;
+    articleEndToggle.checked = settings.nudgeAtArticleEnd;
+    selectThreshold(0);
+  }
+);
 
 // Check if on a Substack tab, then show session time
 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -27,12 +66,14 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   }
 
   activeTabId = tab.id;
+  activeWindowId = tab.windowId;
+  initSiteRule(tab.url);
 
   // Try to reach the content script to confirm we're on Substack
   chrome.tabs.sendMessage(tab.id, { type: "queryTime" }, (resp) => {
     if (chrome.runtime.lastError || !resp) {
       // Not on a Substack page — still show session time if there is one
-      chrome.storage.session.get({ sessionTime: 0 }, (data) => {
+      chrome.storage.local.get({ sessionTime: 0 }, (data) => {
         if (data.sessionTime > 0) {
           updateTimeDisplay(data.sessionTime);
           statusNote.textContent = "Substack session time";
@@ -48,12 +89,18 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     resetBtn.disabled = false;
     notesBtn.disabled = false;
     currentTimeEl.classList.remove("inactive");
-    statusNote.textContent = "Substack session time";
+    statusNote.textContent = resp.surface
+      ? `Session time \u00b7 ${formatClock(resp.surface.time)} in ${resp.surface.label}`
+      : resp.listening
+        ? `Substack session time \u00b7 ${formatClock(resp.listening)} listening`
+        : "Substack session time";
     updateTimeDisplay(resp.time);
+    if (resp.progress) updateProgress(resp.progress);
+    if (resp.article) initPublicationRule(resp.url, resp.article);
 
     // Poll for updates while popup is open
     setInterval(() => {
-      chrome.storage.session.get({ sessionTime: 0 }, (data) => {
+      chrome.storage.local.get({ sessionTime: 0 }, (data) => {
         updateTimeDisplay(data.sessionTime);
       });
     }, 1000);
@@ -76,7 +123,7 @@ slider.addEventListener("input", () => {
 
 slider.addEventListener("change", () => {
   const val = parseInt(slider.value, 10);
-  saveThreshold(val);
+  setThreshold(val);
 });
 
 // --- Preset buttons ---
@@ -86,24 +133,173 @@ presetBtns.forEach((btn) => {
     slider.value = val;
     updateLabel(val);
     updatePresetHighlight(val);
-    saveThreshold(val);
+    setThreshold(val);
+  });
+});
+
+// --- Nudge schedule ---
+function renderSchedule() {
+  scheduleEl.textContent = "";
+  schedule.forEach((val, i) => {
+    const chip = document.createElement("button");
+    chip.className = "schedule-chip";
+    chip.classList.toggle("selected", i === selectedIndex);
+    chip.textContent = formatThreshold(val);
+    chip.addEventListener("click", () => selectThreshold(i));
+
+    if (schedule.length > 1) {
+      const remove = document.createElement("span");
+      remove.className = "schedule-chip-remove";
+      remove.textContent = "\u00d7";
+      remove.title = "Remove";
+      remove.addEventListener("click", (e) => {
+        e.stopPropagation();
+        schedule.splice(i, 1);
+        saveSchedule();
+        selectThreshold(Math.min(selectedIndex, schedule.length - 1));
+      });
+      chip.appendChild(remove);
+    }
+    scheduleEl.appendChild(chip);
   });
+
+  const last = schedule[schedule.length - 1];
+  if (last < MAX_THRESHOLD) {
+    const add = document.createElement("button");
+    add.className = "schedule-chip schedule-add";
+    add.textContent = "+ Add";
+    add.addEventListener("click", () => {
+      schedule.push(Math.min(last * 2, MAX_THRESHOLD));
+      saveSchedule();
+      selectThreshold(schedule.length - 1);
+    });
+    scheduleEl.appendChild(add);
+  }
+}
+
+function selectThreshold(index) {
+  selectedIndex = index;
+  const val = schedule[index];
+  slider.value = val;
+  updateLabel(val);
+  updatePresetHighlight(val);
+  renderSchedule();
+}
+
+function setThreshold(val) {
+  schedule[selectedIndex] = val;
+  schedule = [...new Set(schedule)].sort((a, b) => a - b);
+  saveSchedule();
+  selectThreshold(schedule.indexOf(val));
+}
+
+articleEndToggle.addEventListener("change", () => {
+  chrome.storage.local.set({ nudgeAtArticleEnd: articleEndToggle.checked });
 });
 
 // --- Enable/disable ---
 enabledToggle.addEventListener("change", () => {
   const enabled = enabledToggle.checked;
-  chrome.storage.local.set({ enabled });
   chrome.runtime.sendMessage({ type: "enabledChanged", enabled });
 });
 
+// --- Per-site rule: always / never track the current hostname ---
+let siteHostname = null;
+
+function initSiteRule(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) return;
+    siteHostname = parsed.hostname;
+  } catch {
+    return;
+  }
+  siteHost.textContent = siteHostname;
+  siteSection.hidden = false;
+  chrome.runtime.sendMessage({ type: "getSiteRule", hostname: siteHostname }, ({ rule }) =>
+    showSiteRule(rule)
+  );
+}
+
+function showSiteRule(rule) {
+  siteAlwaysBtn.classList.toggle("selected", rule === "always");
+  siteNeverBtn.classList.toggle("selected", rule === "never");
+  siteAlwaysBtn.title = rule === "always" ? "Click again to use automatic detection" : "";
+  siteNeverBtn.title = rule === "never" ? "Click again to use automatic detection" : "";
+}
+
+// Clicking the active rule again clears it back to automatic detection
+for (const [btn, rule] of [[siteAlwaysBtn, "always"], [siteNeverBtn, "never"]]) {
+  btn.addEventListener("click", () => {
+    const next = btn.classList.contains("selected") ? null : rule;
+    chrome.runtime.sendMessage({ type: "setSiteRule", hostname: siteHostname, rule: next }, () =>
+      showSiteRule(next)
+    );
+  });
+}
+
+// --- Per-publication rule: mute, first-nudge threshold and default prompt ---
+let publicationKey = null;
+
+function initPublicationRule(url, article) {
+  chrome.runtime.sendMessage({ type: "getPublicationRule", url, article }, ({ key, rule }) => {
+    if (!key) return;
+    publicationKey = key;
+    publicationName.textContent = article.publication || "This publication";
+    publicationMuted.checked = !!rule?.muted;
+    publicationThreshold.value = rule?.threshold ? String(rule.threshold) : "";
+    // A threshold set elsewhere may not be one of the presets
+    if (rule?.threshold && publicationThreshold.value !== String(rule.threshold)) {
+      publicationThreshold.add(new Option(formatThreshold(rule.threshold), rule.threshold, true, true));
+    }
+
+    chrome.runtime.sendMessage({ type: "getPrompts" }, ({ prompts }) => {
+      for (const prompt of prompts.filter((p) => p.enabled)) {
+        publicationPrompt.add(new Option(prompt.text, prompt.id));
+      }
+      publicationPrompt.value = rule?.promptId || "";
+      publicationSection.hidden = false;
+    });
+  });
+}
+
+function savePublicationRule() {
+  const rule = {
+    name: publicationName.textContent,
+    muted: publicationMuted.checked,
+    threshold: parseInt(publicationThreshold.value, 10) || null,
+    promptId: publicationPrompt.value || null,
+  };
+  chrome.runtime.sendMessage({ type: "setPublicationRule", key: publicationKey, rule });
+}
+
+for (const el of [publicationMuted, publicationThreshold, publicationPrompt]) {
+  el.addEventListener("change", savePublicationRule);
+}
+
+// --- Toolbar badge ---
+badgeToggle.addEventListener("change", () => {
+  const showBadge = badgeToggle.checked;
+  chrome.storage.local.set({ showBadge });
+  chrome.runtime.sendMessage({ type: "badgeChanged", showBadge });
+});
+
 // --- Take notes ---
 notesBtn.addEventListener("click", () => {
   if (!activeTabId) return;
+  // Opened right in the click handler, since the side panel needs a user gesture
+  if (notesMode === "sidepanel") {
+    chrome.sidePanel.open({ windowId: activeWindowId }).then(() => window.close(), openInPage);
+    return;
+  }
+  openInPage();
+});
+
+function openInPage() {
   chrome.tabs.sendMessage(activeTabId, { type: "openNotes" }, () => {
     window.close();
   });
-});
+}
 
 // --- Reset ---
 resetBtn.addEventListener("click", () => {
@@ -113,22 +309,70 @@ resetBtn.addEventListener("click", () => {
   });
 });
 
+// --- Reading history, review, search & settings pages ---
+chrome.runtime.sendMessage({ type: "getReviews" }, ({ due }) => {
+  if (due.length) reviewBtn.textContent = `Review notes \u00b7 ${due.length} due`;
+});
+
+reviewBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("review.html") });
+  window.close();
+});
+
+searchBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("search.html") });
+  window.close();
+});
+
+historyBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+  window.close();
+});
+
+settingsBtn.addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
+// --- Keyboard shortcuts (rebindable at chrome://extensions/shortcuts) ---
+chrome.commands.getAll((commands) => {
+  const list = document.getElementById("shortcuts");
+  for (const command of commands) {
+    if (!command.description) continue;
+    const row = document.createElement("div");
+    row.className = "shortcut-row";
+    const name = document.createElement("span");
+    name.textContent = command.description;
+    const key = document.createElement("span");
+    key.className = "shortcut-key";
+    key.classList.toggle("unset", !command.shortcut);
+    key.textContent = command.shortcut || "Not set";
+    row.append(name, key);
+    list.appendChild(row);
+  }
+});
+
+document.getElementById("shortcuts-btn").addEventListener("click", () => {
+  chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  window.close();
+});
+
 // --- Helpers ---
-function saveThreshold(val) {
-  chrome.storage.local.set({ threshold: val });
-  chrome.runtime.sendMessage({ type: "thresholdChanged", threshold: val });
+function saveSchedule() {
+  chrome.storage.local.set({ nudgeSchedule: schedule });
+  chrome.runtime.sendMessage({ type: "scheduleChanged", schedule });
 }
 
 function updateLabel(seconds) {
+  label.textContent = formatThreshold(seconds);
+}
+
+function formatThreshold(seconds) {
   const min = Math.floor(seconds / 60);
   const sec = seconds % 60;
-  if (min === 0) {
-    label.textContent = `${sec} sec`;
-  } else if (sec === 0) {
-    label.textContent = `${min} min`;
-  } else {
-    label.textContent = `${min} min ${sec} sec`;
-  }
+  if (min === 0) return `${sec} sec`;
+  if (sec === 0) return `${min} min`;
+  return `${min} min ${sec} sec`;
 }
 
 function updatePresetHighlight(val) {
@@ -137,8 +381,19 @@ function updatePresetHighlight(val) {
   });
 }
 
+function updateProgress({ depth, completed }) {
+  const pct = completed ? 100 : Math.round(depth * 100);
+  progressEl.hidden = false;
+  progressFill.style.width = `${pct}%`;
+  progressNote.textContent = completed ? "Finished this post" : `${pct}% of this post read`;
+}
+
 function updateTimeDisplay(totalSeconds) {
+  currentTimeEl.textContent = formatClock(totalSeconds);
+}
+
+function formatClock(totalSeconds) {
   const min = Math.floor(totalSeconds / 60);
   const sec = totalSeconds % 60;
-  currentTimeEl.textContent = `${min}:${sec.toString().padStart(2, "0")}`;
+  return `${min}:${sec.toString().padStart(2, "0")}`;
 }
@@ -0,0 +1,91 @@
+// Spaced review — one due note at a time: recall first, then compare with the notes.
+// Scheduling lives in background.js; this page only shows cards and sends grades.
+
+const cardEl = document.getElementById("card");
+const answerEl = document.getElementById("answer");
+const recallEl = document.getElementById("recall");
+const revealActions = document.getElementById("reveal-actions");
+const gradeActions = document.getElementById("grade-actions");
+
+let cards = [];
+let nextDueAt = null;
+
+chrome.runtime.sendMessage({ type: "getReviews" }, (resp) => {
+  cards = resp.due;
+  nextDueAt = resp.nextDueAt;
+  showCard();
+});
+
+document.getElementById("reveal-btn").addEventListener("click", () => {
+  answerEl.hidden = false;
+  revealActions.hidden = true;
+  gradeActions.hidden = false;
+});
+
+document.getElementById("remembered-btn").addEventListener("click", () => grade(true));
+document.getElementById("forgot-btn").addEventListener("click", () => grade(false));
+
+function showCard() {
+  const card = cards[0];
+  const remaining = document.getElementById("remaining");
+  if (!card) {
+    cardEl.hidden = true;
+    remaining.hidden = true;
+    showEmpty();
+    return;
+  }
+
+  remaining.hidden = false;
+  remaining.textContent = `${cards.length} due`;
+  cardEl.hidden = false;
+
+  const meta = [card.publication, `Noted ${formatAge(card.createdAt)}`, `Review ${card.step + 1} of ${card.steps}`];
+  document.getElementById("card-meta").textContent = meta.filter(Boolean).join(" · ");
+  const title = document.getElementById("card-title");
+  title.textContent = card.author ? `${card.title} — ${card.author}` : card.title;
+  title.href = card.url;
+  document.getElementById("card-prompt").textContent = card.prompt;
+
+  document.getElementById("answer-notes").textContent = card.body;
+  const quotes = document.getElementById("answer-quotes");
+  quotes.textContent = "";
+  for (const text of card.quotes) {
+    const quote = document.createElement("blockquote");
+    quote.textContent = text;
+    quotes.appendChild(quote);
+  }
+
+  recallEl.value = "";
+  answerEl.hidden = true;
+  revealActions.hidden = false;
+  gradeActions.hidden = true;
+  recallEl.focus();
+}
+
+function grade(remembered) {
+  const card = cards.shift();
+  chrome.runtime.sendMessage({ type: "gradeReview", url: card.url, remembered }, ({ state }) => {
+    if (state && !state.retired && (!nextDueAt || state.dueAt < nextDueAt)) nextDueAt = state.dueAt;
+    showCard();
+  });
+}
+
+function showEmpty() {
+  const empty = document.getElementById("empty");
+  empty.hidden = false;
+  empty.textContent = nextDueAt
+    ? `All caught up. The next review is due ${new Date(nextDueAt).toLocaleDateString(undefined, {
+        weekday: "long",
+        month: "short",
+        day: "numeric",
+      })}.`
+    : "Nothing to review yet. Notes you take while reading come back here a day, a week and a month later.";
+}
+
+// --- Helpers ---
+function formatAge(timestamp) {
+  const days = Math.round((Date.now() - timestamp) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return "today";
+  if (days === 1) return "yesterday";
+  return `${days} days ago`;
+}
@@ -0,0 +1,123 @@
+// Search — finds notes, quotes and read articles again. Matching and the index live in
+// background.js; this page sends the query and filters and renders what comes back.
+
+const queryEl = document.getElementById("query");
+const publicationEl = document.getElementById("publication");
+const fromEl = document.getElementById("from");
+const toEl = document.getElementById("to");
+
+const SEARCH_DELAY_MS = 150;
+const { foldText } = self.MIC_SHARED;
+let searchTimer = null;
+let searchToken = 0;
+
+// ?q= lets other pages link straight to a search
+queryEl.value = new URLSearchParams(location.search).get("q") || "";
+runSearch();
+
+queryEl.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DELAY_MS);
+});
+for (const el of [publicationEl, fromEl, toEl]) el.addEventListener("change", runSearch);
+
+function runSearch() {
+  const token = ++searchToken;
+  const message = {
+    type: "search",
+    query: queryEl.value,
+    publication: publicationEl.value || null,
+    // <input type=date> values are YYYY-MM-DD, the same as background's day keys
+    from: fromEl.value || null,
+    to: toEl.value || null,
+  };
+  chrome.runtime.sendMessage(message, (resp) => {
+    // A slower response to an earlier query shouldn't replace a newer one
+    if (token !== searchToken || !resp || resp.error) return;
+    renderPublications(resp.publications);
+    renderResults(resp);
+  });
+}
+
+function renderPublications(publications) {
+  const selected = publicationEl.value;
+  publicationEl.length = 1;
+  for (const name of publications) publicationEl.add(new Option(name, name));
+  publicationEl.value = publications.includes(selected) ? selected : "";
+}
+
+function renderResults({ results, total, words }) {
+  const list = document.getElementById("results");
+  list.textContent = "";
+  for (const result of results) list.appendChild(renderResult(result, words));
+
+  const count = document.getElementById("count");
+  count.hidden = !results.length;
+  count.textContent =
+    total > results.length ? `Showing ${results.length} of ${total} matches` : `${total} ${total === 1 ? "match" : "matches"}`;
+
+  const empty = document.getElementById("empty");
+  empty.hidden = results.length > 0;
+  empty.textContent = queryEl.value.trim()
+    ? "Nothing matches. Words are matched from their start, so try a shorter or different word."
+    : "Nothing saved yet. Articles you read and notes you take show up here.";
+}
+
+function renderResult(result, words) {
+  const item = document.createElement("div");
+  item.className = "result";
+
+  const meta = document.createElement("div");
+  meta.className = "result-meta";
+  meta.textContent = [
+    result.publication,
+    result.author,
+    new Date(result.date).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" }),
+    result.hasNote ? "Notes" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const title = document.createElement("a");
+  title.className = "result-title";
+  title.href = result.url;
+  title.target = "_blank";
+  title.rel = "noopener";
+  highlight(title, result.title, words);
+
+  item.append(meta, title);
+
+  if (result.snippet) {
+    const snippet = document.createElement("p");
+    snippet.className = "result-snippet";
+    highlight(snippet, result.snippet, words);
+    item.appendChild(snippet);
+  }
+  for (const text of result.quotes) {
+    const quote = document.createElement("blockquote");
+    highlight(quote, text, words);
+    item.appendChild(quote);
+  }
+  return item;
+}
+
+// Fills `el` with `text`, wrapping words that start with a query word in <mark>
+function highlight(el, text, words) {
+  el.textContent = "";
+  if (!words.length) {
+    el.textContent = text;
+    return;
+  }
+  const folded = foldText(text);
+  let last = 0;
+  for (const match of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!words.some((word) => match[0].startsWith(word))) continue;
+    const end = match.index + Math.max(...words.filter((w) => match[0].startsWith(w)).map((w) => w.length));
+    el.append(text.slice(last, match.index));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(match.index, end);
+    el.appendChild(mark);
+    last = end;
+  }
+  el.append(text.slice(last));
+}
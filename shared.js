@@ -0,0 +1,68 @@
+// Shared helpers — pure functions used on both sides of a message boundary, so the
+// in-page notes panel and the side panel (or background and its pages) can't drift
+// apart. Loaded into the service worker with importScripts(), injected ahead of
+// content.js and included by the extension pages that need it. Like adapters.js it
+// must not touch the DOM and assigns to `self` so re-injection doesn't throw.
+
+(() => {
+  const REPLY_QUOTE_LIMIT = 280;
+
+  // Button labels for the exporters in content.js, shown in both notes panels
+  const EXPORTER_LABELS = {
+    obsidian: "Send to Obsidian",
+    markdown: "Download .md",
+    logseq: "Copy for Logseq",
+    readwise: "Readwise CSV",
+    json: "JSON",
+  };
+
+  // Local calendar day, the key for every per-day total in storage
+  function dayKey(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, "0");
+    const d = String(date.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+
+  // Lowercased words with accents folded, so "Café" is found by "cafe"
+  function foldText(text) {
+    return (text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  }
+
+  // Prompts inserted as "## " headings that have text under them
+  function answeredPrompts(body, prompts) {
+    const answered = [];
+    for (const section of body.split(/^## /m).slice(1)) {
+      const newline = section.indexOf("\n");
+      const heading = (newline === -1 ? section : section.slice(0, newline)).trim();
+      const answer = newline === -1 ? "" : section.slice(newline + 1).trim();
+      const prompt = prompts.find((p) => p.text === heading);
+      if (prompt && answer) answered.push({ id: prompt.id, text: prompt.text, category: prompt.category });
+    }
+    return answered;
+  }
+
+  // Prompt headings make sense in private notes but not in a public comment
+  function replyDraftFromNotes(body) {
+    return body
+      .split("\n")
+      .filter((line) => !/^#{1,6}\s/.test(line))
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  function formatReplyQuote(text) {
+    const clipped = text.length > REPLY_QUOTE_LIMIT ? `${text.slice(0, REPLY_QUOTE_LIMIT).trimEnd()}\u2026` : text;
+    return `\u201c${clipped}\u201d`;
+  }
+
+  // The comment as a list of paragraphs: the chosen quotes first, then the reply text
+  function replyParagraphs(quotes, text) {
+    const trimmed = text.trim();
+    const paragraphs = trimmed ? trimmed.split(/\n\s*\n/).map((p) => p.trim()) : [];
+    return [...quotes.map(formatReplyQuote), ...paragraphs];
+  }
+
+  self.MIC_SHARED = { EXPORTER_LABELS, dayKey, foldText, answeredPrompts, replyDraftFromNotes, replyParagraphs };
+})();
@@ -0,0 +1,358 @@
+// Side panel notes — the notes panel in Chrome's side panel, following the active tab.
+// Notes are read and saved through background.js just like the in-page panel. Anything
+// that needs the page itself (article metadata, scrolling to a quote, exporters, the
+// comment box) is a message to that tab's content script.
+
+const titleEl = document.getElementById("article-title");
+const emptyEl = document.getElementById("empty");
+const notesView = document.getElementById("notes-view");
+const replyView = document.getElementById("reply-view");
+const notesEl = document.getElementById("notes");
+const quotesEl = document.getElementById("quotes");
+
+const AUTOSAVE_MS = 500;
+const FOLLOW_RETRIES = 3;
+// The same helpers the in-page panel uses (shared.js)
+const { EXPORTER_LABELS, answeredPrompts, replyDraftFromNotes, replyParagraphs } = self.MIC_SHARED;
+
+// The article being shown: { tabId, url, title, meta, media }
+let current = null;
+let quotes = [];
+let prompts = [];
+let promptIndex = 0;
+let saveTimer = null;
+let followToken = 0;
+// Until the article's saved note has loaded, saving would write the previous article's
+// text (or nothing) over it
+let draftLoaded = false;
+
+// Background uses this port to know the panel is open and which article it shows. The
+// port closes whenever the service worker is stopped for being idle; without it quotes
+// would go straight to storage and the next autosave would overwrite them, so it's
+// reopened right away.
+let port = null;
+connect();
+
+function connect() {
+  // chrome.runtime.id is gone once the extension is reloaded or removed
+  if (!chrome.runtime?.id) return;
+  port = chrome.runtime.connect({ name: "sidepanel" });
+  port.onMessage.addListener((message) => {
+    if (message.type === "close") {
+      flushNote();
+      window.close();
+    }
+    if (message.type === "quoteAdded" && message.url === current?.url) addQuote(message.quote);
+    if (message.type === "timestampAdded" && message.url === current?.url) insertTimestamp(message.stamp);
+  });
+  port.onDisconnect.addListener(connect);
+  reportShowing();
+}
+
+function reportShowing() {
+  port?.postMessage({ type: "showing", url: draftLoaded ? current?.url || null : null });
+}
+
+// --- Following the active tab ---
+follow();
+
+chrome.tabs.onActivated.addListener(() => follow());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!tab.active) return;
+  if (changeInfo.url || changeInfo.status === "complete") follow();
+});
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushNote();
+});
+
+async function follow(attempt = 0) {
+  const token = ++followToken;
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const context = tab?.id ? await tabMessage(tab.id, { type: "notesContext" }) : null;
+  if (token !== followToken) return;
+
+  if (!context || context.surface) {
+    // The content script may not be injected yet right after a navigation
+    if (!context && tab?.id && attempt < FOLLOW_RETRIES) {
+      setTimeout(() => token === followToken && follow(attempt + 1), 1000);
+    }
+    showArticle(null);
+    return;
+  }
+  if (current?.tabId === tab.id && current.url === context.url) return;
+  showArticle({ tabId: tab.id, url: context.url, title: context.title, meta: context.meta, media: context.media });
+}
+
+async function showArticle(article) {
+  if (current && article?.url !== current.url) flushNote();
+  current = article;
+  draftLoaded = false;
+  // Quotes taken meanwhile go to the stored note, which is read below
+  reportShowing();
+  closeReplyComposer();
+  notesEl.value = "";
+  notesEl.disabled = true;
+  quotes = [];
+  renderQuotes();
+
+  emptyEl.hidden = !!article;
+  notesView.hidden = !article;
+  titleEl.textContent = article?.title || "";
+  document.getElementById("timestamp").hidden = !article?.media;
+  if (!article) return;
+
+  const { note } = await chrome.runtime.sendMessage({ type: "getNote", url: article.url });
+  if (current !== article) return;
+  notesEl.value = note?.body || "";
+  notesEl.disabled = false;
+  quotes = note?.quotes || [];
+  draftLoaded = true;
+  reportShowing();
+  renderQuotes();
+  loadPrompts();
+  renderExporterButtons();
+}
+
+// --- Notes ---
+notesEl.addEventListener("input", () => {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNote, AUTOSAVE_MS);
+});
+
+function saveNote() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!current || !draftLoaded) return;
+  chrome.runtime.sendMessage({
+    type: "saveNote",
+    url: current.url,
+    title: current.title,
+    body: notesEl.value,
+    quotes,
+    prompts: answeredPrompts(notesEl.value, prompts),
+    meta: current.meta,
+  });
+}
+
+// Save right away if an autosave is pending
+function flushNote() {
+  if (saveTimer) saveNote();
+}
+
+// A passage quoted on the page while this article is showing
+function addQuote(quote) {
+  const block = quote.text.split("\n").map((line) => `> ${line}`).join("\n");
+  const before = notesEl.value.replace(/\s*$/, "");
+  notesEl.value = `${before}${before ? "\n\n" : ""}${block}\n\n`;
+  notesEl.focus();
+  notesEl.setSelectionRange(notesEl.value.length, notesEl.value.length);
+  quotes.push(quote);
+  renderQuotes();
+  saveNote();
+}
+
+// Player timestamps, e.g. "[12:34] ", from the page's audio or video
+document.getElementById("timestamp").addEventListener("click", async () => {
+  const resp = await tabMessage(current.tabId, { type: "mediaTimestamp" });
+  if (resp?.stamp && draftLoaded) insertTimestamp(resp.stamp);
+});
+
+function insertTimestamp(stamp) {
+  const before = notesEl.value.replace(/\s*$/, "");
+  notesEl.value = `${before}${before ? "\n\n" : ""}${stamp} `;
+  notesEl.focus();
+  notesEl.setSelectionRange(notesEl.value.length, notesEl.value.length);
+  saveNote();
+}
+
+function renderQuotes() {
+  quotesEl.textContent = "";
+  for (const quote of quotes) {
+    const item = document.createElement("button");
+    item.className = "quote";
+    item.textContent = quote.text;
+    item.title = "Scroll to passage";
+    item.addEventListener("click", () => tabMessage(current.tabId, { type: "scrollToQuote", quote }));
+    quotesEl.appendChild(item);
+  }
+}
+
+// --- Reflection prompts ---
+async function loadPrompts() {
+  const resp = await chrome.runtime.sendMessage({ type: "getPrompts", url: current.url, article: current.meta });
+  prompts = resp.prompts.filter((p) => p.enabled);
+  const preferred = prompts.findIndex((p) => p.id === resp.defaultPromptId);
+  document.getElementById("prompt").hidden = !prompts.length;
+  if (prompts.length) showPrompt(Math.max(preferred, 0));
+}
+
+function showPrompt(index) {
+  promptIndex = index % prompts.length;
+  document.getElementById("prompt-text").textContent = prompts[promptIndex].text;
+  notesEl.placeholder = prompts[promptIndex].text;
+}
+
+document.getElementById("prompt-next").addEventListener("click", () => showPrompt(promptIndex + 1));
+document.getElementById("prompt-insert").addEventListener("click", () => {
+  const prompt = prompts[promptIndex];
+  if (!prompt) return;
+  const before = notesEl.value.replace(/\s*$/, "");
+  notesEl.value = `${before}${before ? "\n\n" : ""}## ${prompt.text}\n\n`;
+  notesEl.focus();
+  notesEl.setSelectionRange(notesEl.value.length, notesEl.value.length);
+  showPrompt(promptIndex + 1);
+});
+
+// --- Exporters (run by the content script, which has the article metadata) ---
+async function renderExporterButtons() {
+  const { exporters = ["obsidian"] } = await chrome.runtime.sendMessage({ type: "getSettings" });
+  const container = document.getElementById("exporters");
+  container.textContent = "";
+  for (const id of exporters) {
+    const label = EXPORTER_LABELS[id];
+    if (!label) continue;
+    const btn = document.createElement("button");
+    btn.className = "btn btn-secondary";
+    btn.textContent = label;
+    btn.addEventListener("click", () => runExporter(id, btn, label));
+    container.appendChild(btn);
+  }
+}
+
+async function runExporter(id, btn, label) {
+  flushNote();
+  const resp = await tabMessage(current.tabId, {
+    type: "runExporter",
+    id,
+    title: current.title,
+    notes: notesEl.value,
+    quotes,
+  });
+  let result = resp?.result || "Failed";
+  // The page can't use the clipboard or launch apps without focus, so we do it here
+  if (resp?.clipboard) {
+    const copied = await copyText(resp.clipboard);
+    if (!copied) result = "Failed";
+  }
+  if (resp?.open) chrome.tabs.update(current.tabId, { url: resp.open });
+  btn.textContent = result;
+  setTimeout(() => (btn.textContent = label), 1200);
+}
+
+// --- Reply composer ---
+// Same flow as the in-page composer; the content script finds comments and fills in
+// the comment box.
+const replyTarget = document.getElementById("reply-target");
+const replyText = document.getElementById("reply-text");
+
+document.getElementById("write-reply").addEventListener("click", openReplyComposer);
+document.getElementById("reply-back").addEventListener("click", closeReplyComposer);
+document.getElementById("reply-copy").addEventListener("click", copyReply);
+document.getElementById("reply-insert").addEventListener("click", insertReply);
+replyText.addEventListener("input", updateReplyPreview);
+replyTarget.addEventListener("focus", loadReplyTargets);
+
+function openReplyComposer() {
+  replyText.value = replyDraftFromNotes(notesEl.value);
+
+  const list = document.getElementById("reply-quotes");
+  list.textContent = "";
+  for (const quote of quotes) {
+    const row = document.createElement("label");
+    row.className = "quote";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.addEventListener("change", updateReplyPreview);
+    const text = document.createElement("span");
+    text.textContent = quote.text;
+    row.append(box, text);
+    list.appendChild(row);
+  }
+
+  loadReplyTargets();
+  setReplyStatus("");
+  notesView.hidden = true;
+  replyView.hidden = false;
+  updateReplyPreview();
+}
+
+function closeReplyComposer() {
+  replyView.hidden = true;
+  notesView.hidden = !current;
+}
+
+async function loadReplyTargets() {
+  const previous = replyTarget.value;
+  const resp = await tabMessage(current.tabId, { type: "getReplyTargets" });
+  replyTarget.textContent = "";
+  replyTarget.add(new Option("New comment on the post", ""));
+  (resp?.targets || []).forEach((label, i) => replyTarget.add(new Option(label, String(i))));
+  if ([...replyTarget.options].some((o) => o.value === previous)) replyTarget.value = previous;
+}
+
+function composeReply() {
+  const boxes = document.querySelectorAll("#reply-quotes input[type=checkbox]");
+  const selected = quotes.filter((_, i) => boxes[i]?.checked).map((q) => q.text);
+  return replyParagraphs(selected, replyText.value);
+}
+
+function updateReplyPreview() {
+  const preview = document.getElementById("reply-preview");
+  preview.textContent = "";
+  for (const paragraph of composeReply()) {
+    const p = document.createElement("p");
+    p.textContent = paragraph;
+    preview.appendChild(p);
+  }
+}
+
+function setReplyStatus(text, kind = "") {
+  const status = document.getElementById("reply-status");
+  status.textContent = text;
+  status.className = `status${kind ? ` status-${kind}` : ""}`;
+}
+
+async function insertReply() {
+  const paragraphs = composeReply();
+  if (!paragraphs.length) {
+    setReplyStatus("Nothing to post yet — write a reply or pick a passage", "error");
+    return;
+  }
+  setReplyStatus("Looking for the comment box…");
+  const resp = await tabMessage(current.tabId, { type: "postReply", paragraphs, target: replyTarget.value });
+  if (!resp) {
+    setReplyStatus("Couldn't reach the page — try reloading it", "error");
+    return;
+  }
+  if (resp.clipboard && !(await copyText(resp.clipboard))) {
+    setReplyStatus("Couldn't reach the comment box or the clipboard", "error");
+    return;
+  }
+  setReplyStatus(resp.text, resp.kind);
+}
+
+async function copyReply() {
+  const paragraphs = composeReply();
+  if (!paragraphs.length) return;
+  const copied = await copyText(paragraphs.join("\n\n"));
+  setReplyStatus(copied ? "Copied to clipboard" : "Couldn't copy to the clipboard", copied ? "ok" : "error");
+}
+
+// --- Helpers ---
+// Resolves with the content script's response, or null if the tab has none
+function tabMessage(tabId, message) {
+  return new Promise((resolve) =>
+    chrome.tabs.sendMessage(tabId, message, (resp) => {
+      resolve(chrome.runtime.lastError ? null : resp || null);
+    })
+  );
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}